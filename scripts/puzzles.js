@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+// Puzzle authoring tool for src/puzzles.json.
+//
+//   npm run puzzles -- add                 interactively append a puzzle
+//   npm run puzzles -- hash <answer...>    print the normalised form and hash of an answer
+//   npm run puzzles -- validate            check the file against the puzzle schema
+//   npm run puzzles -- lint                flag duplicate answers and near-duplicate texts
+//   npm run puzzles -- report [days]       show how puzzles fall across scheduled days
+//
+// Answers are hashed with the same normalizeAnswer() the game uses, so hashes written here always match.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createInterface } from 'node:readline/promises';
+import { normalizeAnswer, hashAnswer } from '../src/answers.js';
+import { TRANSMISSION_TYPES, buildSchedule } from '../src/transmission.js';
+import { CIPHER_TOOLS } from '../src/ciphers.js';
+import { createSchedule, getDayIndex, PUZZLES_PER_DAY, DIFFICULTIES, CATEGORIES, LEGACY_POOL_SIZE, SCHEDULER_START_DAY } from '../src/schedule.js';
+
+const PUZZLES_PATH = fileURLToPath(new URL('../src/puzzles.json', import.meta.url));
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const NEAR_DUPLICATE_THRESHOLD = 0.7;
+
+const loadPuzzles = () => JSON.parse(readFileSync(PUZZLES_PATH, 'utf8'));
+const savePuzzles = (puzzles) => writeFileSync(PUZZLES_PATH, JSON.stringify(puzzles, null, 2));
+
+const acceptedHashes = (puzzle) => [puzzle.answerHash, ...(puzzle.alternateHashes || [])];
+
+// --- VALIDATE ---
+const validatePuzzles = async (puzzles) => {
+  const errors = [];
+  if (!Array.isArray(puzzles)) return ['puzzles.json must contain an array of puzzles'];
+  for (const [index, puzzle] of puzzles.entries()) {
+    const label = `puzzle #${index + 1}`;
+    if (!puzzle || typeof puzzle !== 'object') {
+      errors.push(`${label}: not an object`);
+      continue;
+    }
+    if (puzzle.id !== index + 1) errors.push(`${label}: expected id ${index + 1}, found ${JSON.stringify(puzzle.id)}`);
+    for (const field of ['title', 'text']) {
+      if (typeof puzzle[field] !== 'string' || !puzzle[field].trim()) errors.push(`${label}: missing ${field}`);
+    }
+    if (!Array.isArray(puzzle.hints) || !puzzle.hints.length || !puzzle.hints.every(hint => typeof hint === 'string' && hint.trim())) {
+      errors.push(`${label}: hints must be a non-empty list of strings`);
+    }
+    if (puzzle.firstLetter !== undefined && !/^[A-Z0-9]$/.test(puzzle.firstLetter)) errors.push(`${label}: firstLetter must be one uppercase letter or digit`);
+    // firstLetter ships as plain text, so it must never be a whole answer on its own.
+    if (puzzle.firstLetter !== undefined && acceptedHashes(puzzle).includes(await hashAnswer(puzzle.firstLetter))) {
+      errors.push(`${label}: firstLetter is the whole answer, so leave it out`);
+    }
+    if (puzzle.type !== undefined) {
+      if (!TRANSMISSION_TYPES.includes(puzzle.type)) {
+        errors.push(`${label}: type must be one of ${TRANSMISSION_TYPES.join(', ')}`);
+      } else {
+        try {
+          if (!buildSchedule(puzzle).length) errors.push(`${label}: ${puzzle.type} transmission is empty`);
+        } catch (err) {
+          errors.push(`${label}: ${err.message}`);
+        }
+      }
+    }
+    if (puzzle.prompt !== undefined && (typeof puzzle.prompt !== 'string' || !puzzle.prompt.trim())) errors.push(`${label}: prompt must be a non-empty string`);
+    if (!DIFFICULTIES.includes(puzzle.difficulty)) errors.push(`${label}: difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+    if (!CATEGORIES.includes(puzzle.category)) errors.push(`${label}: category must be one of ${CATEGORIES.join(', ')}`);
+    if (puzzle.cipher !== undefined && !CIPHER_TOOLS.some(tool => tool.id === puzzle.cipher)) {
+      errors.push(`${label}: cipher must be one of ${CIPHER_TOOLS.map(tool => tool.id).join(', ')}`);
+    }
+    if (puzzle.releaseDay !== undefined && !Number.isInteger(puzzle.releaseDay)) errors.push(`${label}: releaseDay must be a day index`);
+    if (index >= LEGACY_POOL_SIZE && !(puzzle.releaseDay >= SCHEDULER_START_DAY)) {
+      errors.push(`${label}: new puzzles need a releaseDay on or after day ${SCHEDULER_START_DAY} so past drops stay fixed`);
+    }
+    if (!HASH_PATTERN.test(puzzle.answerHash || '')) errors.push(`${label}: answerHash must be 64 lowercase hex characters`);
+    for (const field of ['alternateHashes', 'closeHashes']) {
+      if (puzzle[field] === undefined) continue;
+      if (!Array.isArray(puzzle[field]) || !puzzle[field].every(hash => HASH_PATTERN.test(hash))) {
+        errors.push(`${label}: ${field} must be an array of 64-hex hashes`);
+      }
+    }
+    const overlap = (puzzle.closeHashes || []).filter(hash => acceptedHashes(puzzle).includes(hash));
+    if (overlap.length) errors.push(`${label}: a close answer is also an accepted answer`);
+  }
+  return errors;
+};
+
+// --- LINT ---
+const textTokens = (text) => new Set(text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean));
+
+const similarity = (a, b) => {
+  const shared = [...a].filter(token => b.has(token)).length;
+  return shared / (a.size + b.size - shared || 1);
+};
+
+const lintPuzzles = (puzzles) => {
+  const warnings = [];
+  const owners = new Map();
+  for (const puzzle of puzzles) {
+    for (const hash of new Set(acceptedHashes(puzzle))) {
+      owners.set(hash, [...(owners.get(hash) || []), puzzle.id]);
+    }
+  }
+  const sharedBy = new Set([...owners.values()].filter(ids => ids.length > 1).map(ids => ids.join(', ')));
+  sharedBy.forEach(ids => warnings.push(`duplicate answer shared by puzzles ${ids}`));
+  const tokens = puzzles.map(puzzle => textTokens(puzzle.text));
+  for (let i = 0; i < puzzles.length; i++) {
+    for (let j = i + 1; j < puzzles.length; j++) {
+      const score = similarity(tokens[i], tokens[j]);
+      if (score >= NEAR_DUPLICATE_THRESHOLD) {
+        warnings.push(`near-duplicate text: puzzles ${puzzles[i].id} and ${puzzles[j].id} (${Math.round(score * 100)}% overlap)`);
+      }
+    }
+  }
+  return warnings;
+};
+
+// --- REPORT ---
+const reportSchedule = (puzzles, days) => {
+  const { getPuzzlesForDay } = createSchedule(puzzles);
+  const byId = new Map(puzzles.map(puzzle => [puzzle.id, puzzle]));
+  const appearances = new Map(puzzles.map(puzzle => [puzzle.id, []]));
+  let clashes = 0;
+  let categoryClashes = 0;
+  for (let day = 0; day < days; day++) {
+    const ids = getPuzzlesForDay(day);
+    if (new Set(ids).size !== ids.length) clashes++;
+    if (day >= SCHEDULER_START_DAY && new Set(ids.map(id => byId.get(id).category)).size !== ids.length) categoryClashes++;
+    ids.forEach(id => appearances.get(id).push(day));
+  }
+  const tally = (field) => {
+    const counts = new Map();
+    puzzles.forEach(puzzle => counts.set(puzzle[field], (counts.get(puzzle[field]) || 0) + 1));
+    return [...counts].map(([key, count]) => `${key} ${count}`).join(', ');
+  };
+  const counts = [...appearances.values()].map(list => list.length);
+  const gaps = [...appearances.values()].flatMap(list => list.slice(1).map((day, i) => day - list[i]));
+  const unused = [...appearances.entries()].filter(([, list]) => list.length === 0).map(([id]) => id);
+  const lines = [
+    `Days 0-${days - 1} (${days * PUZZLES_PER_DAY} slots, ${puzzles.length} puzzles, today is day ${getDayIndex()})`,
+    `  appearances per puzzle: min ${Math.min(...counts)}, max ${Math.max(...counts)}`,
+    `  days between repeats:   ${gaps.length ? `min ${Math.min(...gaps)}, max ${Math.max(...gaps)}` : 'no repeats'}`,
+    `  days with a repeated puzzle: ${clashes}`,
+    `  days repeating a category (from day ${SCHEDULER_START_DAY}): ${categoryClashes}`,
+    `  difficulty: ${tally('difficulty')}`,
+    `  category:   ${tally('category')}`,
+    `  never scheduled: ${unused.length ? unused.join(', ') : 'none'}`,
+  ];
+  return lines.join('\n');
+};
+
+// --- ADD ---
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const addPuzzle = async () => {
+  const puzzles = loadPuzzles();
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const ask = async (question, required = true) => {
+      for (;;) {
+        const answer = (await rl.question(question)).trim();
+        if (answer || !required) return answer;
+      }
+    };
+    const title = await ask('Title: ');
+    const type = await ask(`Type (text/${TRANSMISSION_TYPES.join('/')}) [text]: `, false);
+    const prompt = TRANSMISSION_TYPES.includes(type) ? await ask('Prompt shown above the player: ') : '';
+    console.log(TRANSMISSION_TYPES.includes(type) ? 'Transmission payload:' : 'Text (use \\n for line breaks):');
+    const text = (await ask('> ')).replace(/\\n/g, '\n');
+    const hints = [await ask('Hint 1: ')];
+    for (let hint = await ask('Hint 2 (optional): ', false); hint; hint = await ask(`Hint ${hints.length + 1} (optional): `, false)) {
+      hints.push(hint);
+    }
+    const difficulty = await ask(`Difficulty (${DIFFICULTIES.join('/')}): `);
+    const category = await ask(`Category (${CATEGORIES.join('/')}): `);
+    const answer = await ask('Answer: ');
+    const alternates = splitList(await ask('Alternate answers (comma separated, optional): ', false));
+    const close = splitList(await ask('Close answers (comma separated, optional): ', false));
+
+    // New puzzles join the pool from the next drop, so days already played keep their puzzles.
+    const releaseDay = Math.max(getDayIndex() + 1, SCHEDULER_START_DAY);
+    // A one-character answer gets no first-letter tier: the letter would be the answer itself.
+    const normalised = normalizeAnswer(answer);
+    const firstLetter = normalised.length > 1 ? normalised.charAt(0).toUpperCase() : undefined;
+    const puzzle = { id: puzzles.length + 1, title, ...(prompt && { type, prompt }), text, hints, difficulty, category, ...(firstLetter && { firstLetter }), releaseDay, answerHash: await hashAnswer(answer) };
+    if (alternates.length) puzzle.alternateHashes = await Promise.all(alternates.map(hashAnswer));
+    if (close.length) puzzle.closeHashes = await Promise.all(close.map(hashAnswer));
+
+    const errors = await validatePuzzles([...puzzles, puzzle]);
+    if (errors.length) throw new Error(errors.join('\n'));
+    console.log(`\nNormalised answer: "${normalizeAnswer(answer)}"`);
+    console.log(JSON.stringify(puzzle, null, 2));
+    if ((await rl.question('Append this puzzle? [y/N] ')).trim().toLowerCase() !== 'y') {
+      console.log('Aborted, nothing written.');
+      return;
+    }
+    savePuzzles([...puzzles, puzzle]);
+    console.log(`Added puzzle ${puzzle.id}.`);
+    const mentionsNew = new RegExp(`\\b${puzzle.id}\\b`);
+    lintPuzzles([...puzzles, puzzle]).filter(w => mentionsNew.test(w)).forEach(w => console.warn(`warning: ${w}`));
+  } finally {
+    rl.close();
+  }
+};
+
+// --- CLI ---
+const commands = {
+  add: addPuzzle,
+  hash: async (...words) => {
+    const answer = words.join(' ');
+    if (!answer) throw new Error('Usage: hash <answer>');
+    console.log(`normalised: ${normalizeAnswer(answer)}`);
+    console.log(`hash:       ${await hashAnswer(answer)}`);
+  },
+  validate: async () => {
+    const errors = await validatePuzzles(loadPuzzles());
+    errors.forEach(error => console.error(`error: ${error}`));
+    if (errors.length) process.exitCode = 1;
+    else console.log('puzzles.json is valid.');
+  },
+  lint: () => {
+    const warnings = lintPuzzles(loadPuzzles());
+    warnings.forEach(warning => console.warn(`warning: ${warning}`));
+    if (!warnings.length) console.log('No duplicate answers or near-duplicate texts.');
+  },
+  report: (days) => {
+    const puzzles = loadPuzzles();
+    const count = days ? parseInt(days, 10) : getDayIndex() + 1;
+    if (!(count > 0)) throw new Error('Usage: report [days]');
+    console.log(reportSchedule(puzzles, count));
+  },
+};
+
+const [command, ...args] = process.argv.slice(2);
+if (!commands[command]) {
+  console.error(`Usage: npm run puzzles -- <${Object.keys(commands).join('|')}>`);
+  process.exitCode = 1;
+} else {
+  try {
+    await commands[command](...args);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// Reference leaderboard server for the daily drop. Plain node:http with a JSON file store,
+// so it runs locally (and inside tests) without any extra dependencies.
+//
+//   npm run leaderboard                    listen on PORT (default 8787)
+//
+//   POST /results        { dayIndex, handle, points: [5], answers: [5] }
+//   GET  /results/:day   { dayIndex, entries: [{ handle, points, score, submittedAt }] }
+//
+// Every submitted answer is rechecked against the puzzle's answerHash, and every score must be
+// one scorePuzzle can award for that puzzle. Attempts and hints happen on the client, so a
+// player who knows the answers can still claim a better run than they played.
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { hashAnswer } from '../src/answers.js';
+import { createSchedule, getDayIndex, PUZZLES_PER_DAY } from '../src/schedule.js';
+import { possibleScores } from '../src/scoring.js';
+
+const PUZZLES_PATH = fileURLToPath(new URL('../src/puzzles.json', import.meta.url));
+const DEFAULT_STORE_PATH = fileURLToPath(new URL('./data/leaderboard.json', import.meta.url));
+const MAX_BODY_BYTES = 10 * 1024;
+const HANDLE_PATTERN = /^[\p{L}\p{N} _.-]{1,24}$/u;
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- STORE ---
+// { days: { [dayIndex]: [entry] } }, rewritten through a temp file so a crash never leaves half a store.
+export const createFileStore = (path) => {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    data = { days: {} };
+  }
+  return {
+    list: (dayIndex) => data.days[dayIndex] || [],
+    add: (dayIndex, entry) => {
+      data.days[dayIndex] = [...(data.days[dayIndex] || []), entry];
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(`${path}.tmp`, JSON.stringify(data, null, 2));
+      renameSync(`${path}.tmp`, path);
+    },
+  };
+};
+
+// --- VALIDATION ---
+const validateSubmission = async (body, { puzzles, getPuzzlesForDay, today }) => {
+  const { dayIndex, points, answers } = body;
+  const handle = typeof body.handle === 'string' ? body.handle.trim() : '';
+  if (!Number.isInteger(dayIndex) || dayIndex < 0) throw new RequestError(400, 'dayIndex must be a day number');
+  if (dayIndex > today) throw new RequestError(400, `Day ${dayIndex} has not dropped yet`);
+  if (!HANDLE_PATTERN.test(handle)) throw new RequestError(400, 'Handle must be 1-24 letters, digits, spaces, dots, dashes or underscores');
+  if (!Array.isArray(points) || points.length !== PUZZLES_PER_DAY || !points.every(pts => Number.isInteger(pts) && pts >= 0 && pts <= 100)) {
+    throw new RequestError(400, `points must be ${PUZZLES_PER_DAY} scores between 0 and 100`);
+  }
+  if (!Array.isArray(answers) || answers.length !== PUZZLES_PER_DAY || !answers.every(answer => typeof answer === 'string')) {
+    throw new RequestError(400, `answers must be ${PUZZLES_PER_DAY} strings`);
+  }
+  const ids = getPuzzlesForDay(dayIndex);
+  for (const [i, id] of ids.entries()) {
+    const puzzle = puzzles.find(p => p.id === id);
+    const hash = await hashAnswer(answers[i]);
+    if (hash !== puzzle.answerHash && !(puzzle.alternateHashes || []).includes(hash)) {
+      throw new RequestError(422, `Answer ${i + 1} does not solve Day ${dayIndex}`);
+    }
+    if (!possibleScores(puzzle).has(points[i])) throw new RequestError(422, `${points[i]} is not a score puzzle ${i + 1} can award`);
+  }
+  return { handle, points };
+};
+
+// --- HTTP ---
+// An oversized body is drained rather than cut off, so the 413 still reaches the client.
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      req.removeAllListeners('data');
+      req.resume();
+      reject(new RequestError(413, 'Request body too large'));
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch {
+      reject(new RequestError(400, 'Body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const rankEntries = (entries) => [...entries].sort((a, b) => b.score - a.score || a.submittedAt.localeCompare(b.submittedAt));
+
+// `now` is injectable so tests can pin the current day; `store` defaults to a file under server/data.
+export const createLeaderboardServer = ({
+  puzzles = JSON.parse(readFileSync(PUZZLES_PATH, 'utf8')),
+  store = createFileStore(process.env.LEADERBOARD_STORE || DEFAULT_STORE_PATH),
+  now = Date.now,
+} = {}) => {
+  const { getPuzzlesForDay } = createSchedule(puzzles);
+
+  const handlers = {
+    'GET /results': (req, res, day) => {
+      const dayIndex = Number(day);
+      if (!Number.isInteger(dayIndex) || dayIndex < 0) throw new RequestError(404, 'Unknown day');
+      send(res, 200, { dayIndex, entries: rankEntries(store.list(dayIndex)) });
+    },
+    'POST /results': async (req, res) => {
+      const body = await readBody(req);
+      if (!body || typeof body !== 'object') throw new RequestError(400, 'Body must be a JSON object');
+      const { handle, points } = await validateSubmission(body, { puzzles, getPuzzlesForDay, today: getDayIndex(now()) });
+      const existing = store.list(body.dayIndex).find(entry => entry.handle.toLowerCase() === handle.toLowerCase());
+      if (existing) {
+        // A retried submission of the same run is accepted; a different run under the same handle is not.
+        if (existing.points.join() === points.join()) return send(res, 200, existing);
+        throw new RequestError(409, `${handle} already posted a result for Day ${body.dayIndex}`);
+      }
+      const entry = { handle, points, score: points.reduce((sum, pts) => sum + pts, 0), submittedAt: new Date(now()).toISOString() };
+      store.add(body.dayIndex, entry);
+      send(res, 201, entry);
+    },
+  };
+
+  return createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    const [, resource, day] = new URL(req.url, 'http://localhost').pathname.split('/');
+    const handler = handlers[`${req.method} /${resource}`];
+    try {
+      if (!handler || (req.method === 'POST' && day !== undefined)) throw new RequestError(404, 'Not found');
+      await handler(req, res, day);
+    } catch (err) {
+      if (!(err instanceof RequestError)) console.error(err);
+      if (err.status === 413) res.setHeader('Connection', 'close');
+      send(res, err.status || 500, { error: err instanceof RequestError ? err.message : 'Internal server error' });
+    }
+  });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8787;
+  createLeaderboardServer().listen(port, () => console.log(`Leaderboard listening on http://localhost:${port}`));
+}
@@ -1,202 +1,288 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useEffectEvent, useRef } from 'react';
 import puzzles from './puzzles.json';
+import { startDay, loadProgress, saveProgress, loadArchive, loadRun, recordDay } from './storage';
+import { getRank } from './stats';
+import { checkAnswer } from './answers';
+import { createSchedule, getDayIndex, getDateForDay, getDayForDate, getDropTime, getTimeUntilNextDrop, formatCountdown, DROP_HOUR_UTC } from './schedule';
+import { scorePuzzle, getHintTiers, HINT_COST, LETTER_REVEAL_COST, WORKBENCH_COST } from './scoring';
+import { initAudio, sfx } from './audio';
+import { isAudioPuzzle } from './transmission';
+import StatsPanel from './StatsPanel';
+import TransmissionPlayer from './TransmissionPlayer';
+import CipherWorkbench from './CipherWorkbench';
+import { useSettings, settingsClassName } from './settings';
+import { createStopwatch, formatDuration } from './stopwatch';
+import { encodeChallenge, decodeChallenge, readChallengeParam, buildChallengeUrl, clearChallengeParam } from './challenge';
+import ChallengeCard from './ChallengeCard';
+import { leaderboardEnabled, submitResult } from './leaderboard';
+import LeaderboardPanel from './LeaderboardPanel';
+import { setMidPuzzle } from './updates';
 
-// --- DETERMINISTIC SHUFFLE ENGINE ---
-function seededRandom(seed) {
-  return function() {
-    var t = seed += 0x6D2B79F5;
-    t = Math.imul(t ^ t >>> 15, t | 1);
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
-  }
-}
-
-const getMasterPuzzleList = () => {
-  const random = seededRandom(42); 
-  let ids = puzzles.map(p => p.id);
-  for (let i = ids.length - 1; i > 0; i--) {
-    const j = Math.floor(random() * (i + 1));
-    [ids[i], ids[j]] = [ids[j], ids[i]];
-  }
-  return ids;
-};
-
-const masterPuzzleList = getMasterPuzzleList();
+const { getPuzzlesForDay } = createSchedule(puzzles);
 
-const getDayIndex = () => {
-  const epoch = new Date('2024-01-01T00:00:00').getTime();
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); 
-  return Math.floor((today.getTime() - epoch) / 86400000);
+const loadInitialState = (now) => {
+  const dayIndex = getDayIndex(now);
+  const { today } = startDay(dayIndex);
+  const gameState = today.puzzlesDone >= 5 ? 'done_for_day' : today.puzzlesDone > 0 ? 'playing' : 'landing';
+  return { gameState, dayIndex, puzzles: getPuzzlesForDay(dayIndex), progress: today };
 };
 
-const getTodaysPuzzles = () => {
-  const dayIndex = getDayIndex();
-  const todaysIds = [];
-  for (let i = 0; i < 5; i++) {
-    const index = (dayIndex * 5 + i) % masterPuzzleList.length;
-    todaysIds.push(masterPuzzleList[index]);
-  }
-  return todaysIds;
-};
-
-// --- PROCEDURAL AUDIO ENGINE ---
-let audioCtx = null;
-const initAudio = () => {
-  if (!audioCtx) {
-    const AudioContext = window.AudioContext || window.webkitAudioContext;
-    audioCtx = new AudioContext();
-  }
-  if (audioCtx.state === 'suspended') audioCtx.resume();
-};
-const playTone = (frequency, type, duration, vol = 0.1) => {
-  initAudio(); 
-  if (!audioCtx) return;
-  const oscillator = audioCtx.createOscillator();
-  const gainNode = audioCtx.createGain();
-  oscillator.type = type;
-  oscillator.frequency.setValueAtTime(frequency, audioCtx.currentTime);
-  gainNode.gain.setValueAtTime(vol, audioCtx.currentTime);
-  gainNode.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + duration);
-  oscillator.connect(gainNode);
-  gainNode.connect(audioCtx.destination);
-  oscillator.start();
-  oscillator.stop(audioCtx.currentTime + duration);
-};
-const sfx = {
-  type: () => playTone(800, 'sine', 0.05, 0.02), 
-  success: () => {
-    playTone(440, 'sine', 0.1, 0.1);
-    setTimeout(() => playTone(554, 'sine', 0.1, 0.1), 100);
-    setTimeout(() => playTone(659, 'sine', 0.3, 0.1), 200);
-  }, 
-  error: () => {
-    playTone(150, 'sawtooth', 0.2, 0.1);
-    setTimeout(() => playTone(100, 'sawtooth', 0.3, 0.1), 100);
-  } 
-};
-
-// --- SECURITY: HASHING ENGINE ---
-async function hashGuess(text) {
-  try {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(text);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  } catch (error) {
-    return "error";
-  }
-}
-
-export default function App() {
-  const [gameState, setGameState] = useState('landing'); 
-  const [puzzlesToday, setPuzzlesToday] = useState(0); 
-  const [score, setScore] = useState(0); 
-  const [scoreHistory, setScoreHistory] = useState([]); 
-  const [todaysPuzzles, setTodaysPuzzles] = useState([]);
+// `clock` returns the current time in milliseconds; pass a fake one to drive the drop rollover.
+export default function App({ clock = Date.now }) {
+  const [initial] = useState(() => loadInitialState(clock()));
+  const [dropDay, setDropDay] = useState(initial.dayIndex);
+  const [rollover, setRollover] = useState(null); // { day, deferred } once a newer drop lands mid-drop
+  const [gameState, setGameState] = useState(initial.gameState); 
+  const [puzzlesToday, setPuzzlesToday] = useState(initial.progress.puzzlesDone); 
+  const [score, setScore] = useState(initial.progress.score); 
+  const [scoreHistory, setScoreHistory] = useState(initial.progress.history); 
+  const [hintHistory, setHintHistory] = useState(initial.progress.hints); 
+  const [timeHistory, setTimeHistory] = useState(initial.progress.times);
+  const [answerHistory, setAnswerHistory] = useState(initial.progress.answers);
+  const [todaysPuzzles, setTodaysPuzzles] = useState(initial.puzzles);
   const [guess, setGuess] = useState('');
   const [status, setStatus] = useState('idle'); 
-  const [showHint, setShowHint] = useState(false);
+  const [hintsUsed, setHintsUsed] = useState(initial.progress.active.hintsUsed);
+  const [workbenchUsed, setWorkbenchUsed] = useState(initial.progress.active.workbenchUsed);
+  const [showWorkbench, setShowWorkbench] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
   const [showLore, setShowLore] = useState(false); 
-  const [attempts, setAttempts] = useState(0); 
+  const [attempts, setAttempts] = useState(initial.progress.active.attempts); 
+  const [wrongGuesses, setWrongGuesses] = useState(initial.progress.active.wrongGuesses); 
   const [copied, setCopied] = useState(false); 
-  const [timeLeft, setTimeLeft] = useState(''); 
+  const [shareToken, setShareToken] = useState(null);
+  const [challenge, setChallenge] = useState(null); // { result } or { error } from a ?challenge= link
+  const [timeLeft, setTimeLeft] = useState(() => formatCountdown(getTimeUntilNextDrop(clock())));
+  const [archiveDay, setArchiveDay] = useState(null); 
+  const [archiveMonth, setArchiveMonth] = useState(() => {
+    const lastPlayable = getDateForDay(initial.dayIndex - 1);
+    return new Date(Date.UTC(lastPlayable.getUTCFullYear(), lastPlayable.getUTCMonth(), 1));
+  });
+  const [stopwatch] = useState(() => createStopwatch(initial.progress.active.elapsed));
+  const [elapsed, setElapsed] = useState(initial.progress.active.elapsed);
+  const [timed, setTimed] = useState(initial.progress.active.timed);
   const inputRef = useRef(null);
+  const settings = useSettings();
+  const screenClass = settingsClassName(settings);
 
   useEffect(() => {
-    const todayStr = new Date().toDateString(); 
-    const savedDate = localStorage.getItem('gchq-date');
-    const loadedPuzzles = getTodaysPuzzles();
-    let savedPuzzlesToday = parseInt(localStorage.getItem('gchq-puzzles-today'), 10) || 0;
-    let savedScore = parseInt(localStorage.getItem('gchq-score'), 10) || 0;
-    let savedHistory = JSON.parse(localStorage.getItem('gchq-history')) || [];
-    
-    if (savedDate !== todayStr) {
-      savedPuzzlesToday = 0; savedScore = 0; savedHistory = [];
-      localStorage.setItem('gchq-date', todayStr);
-      localStorage.setItem('gchq-puzzles-today', '0');
-      localStorage.setItem('gchq-score', '0');
-      localStorage.setItem('gchq-history', JSON.stringify([]));
-    }
-    
-    setTodaysPuzzles(loadedPuzzles);
-    setPuzzlesToday(savedPuzzlesToday);
-    setScore(savedScore);
-    setScoreHistory(savedHistory);
-    
-    if (savedPuzzlesToday >= 5) setGameState('done_for_day');
-    else if (savedPuzzlesToday > 0) setGameState('playing');
+    if (gameState === 'playing' && status === 'idle' && inputRef.current) inputRef.current.focus();
+  }, [gameState, status, puzzlesToday]);
+
+  // Ticks the countdown and stopwatch, and watches for the next drop. Outside a drop in
+  // progress the app switches straight over; mid-drop the player is asked first.
+  const onTick = useEffectEvent(() => {
+    const now = clock();
+    setTimeLeft(formatCountdown(getTimeUntilNextDrop(now)));
+    setElapsed(stopwatch.read(now));
+    const liveDay = getDayIndex(now);
+    if (liveDay === dropDay || liveDay === rollover?.day) return;
+    const midDrop = archiveDay === null && (gameState === 'playing' || (gameState === 'done_for_day' && rollover));
+    if (midDrop) setRollover({ day: liveDay, deferred: rollover?.deferred ?? false });
+    else switchToDrop(liveDay);
+  });
+
+  useEffect(() => {
+    const tick = () => onTick();
+    const timer = setInterval(tick, 1000);
+    document.addEventListener('visibilitychange', tick);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', tick);
+    };
   }, []);
 
   useEffect(() => {
-    if (gameState === 'playing' && status === 'idle' && inputRef.current) inputRef.current.focus();
-  }, [gameState, status, puzzlesToday]);
+    const token = readChallengeParam();
+    if (!token) return;
+    decodeChallenge(token, getPuzzlesForDay, getDayIndex(clock()))
+      .then(result => setChallenge({ result }), err => setChallenge({ error: err.message }));
+  }, [clock]);
 
+  // The share token is ready before the button is pressed, so sharing stays inside the click.
+  const sharedDay = archiveDay ?? dropDay;
   useEffect(() => {
     if (gameState !== 'done_for_day') return;
-    const calculateTimeLeft = () => {
-      const now = new Date();
-      const tomorrow = new Date(now);
-      tomorrow.setHours(24, 0, 0, 0); 
-      const diff = tomorrow - now;
-      const h = Math.floor((diff / (1000 * 60 * 60)) % 24).toString().padStart(2, '0');
-      const m = Math.floor((diff / 1000 / 60) % 60).toString().padStart(2, '0');
-      const s = Math.floor((diff / 1000) % 60).toString().padStart(2, '0');
-      setTimeLeft(`${h}:${m}:${s}`);
+    let cancelled = false;
+    encodeChallenge({ dayIndex: sharedDay, points: scoreHistory, hints: hintHistory, times: timeHistory }, getPuzzlesForDay(sharedDay))
+      .then(token => { if (!cancelled) setShareToken(token); });
+    return () => { cancelled = true; };
+  }, [gameState, sharedDay, scoreHistory, hintHistory, timeHistory]);
+
+  // A solved intercept counts as between puzzles: its result is already saved.
+  useEffect(() => {
+    setMidPuzzle(gameState === 'playing' && status !== 'success');
+  }, [gameState, status]);
+
+  // Speed mode: an intercept is timed only if speed mode was on when it first appeared, so
+  // switching it on halfway never records a partial time. The stopwatch then runs only while
+  // that intercept is unsolved on screen and the tab is visible.
+  if (gameState === 'playing' && timed === null) setTimed(settings.speedMode);
+  const rolloverPrompt = rollover && !rollover.deferred && archiveDay === null;
+  const timing = settings.speedMode && timed && gameState === 'playing' && status !== 'success' && !rolloverPrompt;
+  const saveActive = useEffectEvent(() => persistActive({}));
+
+  // Saved as soon as it is decided, so reloading cannot turn a glimpsed intercept into a timed one.
+  useEffect(() => {
+    if (timed !== null) saveActive();
+  }, [timed, puzzlesToday, archiveDay, dropDay]);
+
+  useEffect(() => {
+    if (!timing) return;
+    const sync = () => {
+      if (document.visibilityState === 'visible') {
+        stopwatch.start(clock());
+      } else {
+        stopwatch.pause(clock());
+        saveActive();
+      }
     };
-    calculateTimeLeft(); 
-    const timer = setInterval(calculateTimeLeft, 1000); 
-    return () => clearInterval(timer); 
-  }, [gameState]);
+    sync();
+    document.addEventListener('visibilitychange', sync);
+    return () => {
+      document.removeEventListener('visibilitychange', sync);
+      stopwatch.pause(clock());
+    };
+  }, [timing, puzzlesToday, archiveDay, stopwatch, clock]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!guess || status === 'checking' || status === 'success') return;
+    if (!guess || status === 'checking' || status === 'success' || status === 'close') return;
     setStatus('checking');
-    const cleanGuess = guess.toLowerCase().replace(/\s/g, '');
     const currentPuzzleId = todaysPuzzles[puzzlesToday];
     const currentPuzzle = puzzles.find(p => p.id === currentPuzzleId);
-    const hashedInput = await hashGuess(cleanGuess);
-    const isCorrect = currentPuzzle.answerHash ? hashedInput === currentPuzzle.answerHash : cleanGuess === currentPuzzle.answer;
+    const result = await checkAnswer(currentPuzzle, guess);
     
     setTimeout(() => {
-      if (isCorrect) {
+      if (result === 'close') {
+        setStatus('close');
+        setAnnouncement(`${guess} is close, but not quite. No attempt used.`);
+        setTimeout(() => { setStatus('idle'); setGuess(''); }, 1200);
+      } else if (result === 'correct') {
         sfx.success(); setStatus('success');
-        const pointsEarned = showHint ? 0 : (attempts === 0 ? 100 : (attempts === 1 ? 75 : (attempts === 2 ? 50 : 25)));
+        const pointsEarned = scorePuzzle(currentPuzzle, { attempts, hintsUsed, workbenchUsed });
+        const solveTime = settings.speedMode && timed ? stopwatch.read(clock()) : null;
+        setAnnouncement(`Correct. ${guess} earns ${pointsEarned} points.`);
         const newScore = score + pointsEarned;
         const newHistory = [...scoreHistory, pointsEarned];
+        const newHints = [...hintHistory, hintsUsed + (workbenchUsed ? 1 : 0)];
+        const newTimes = [...timeHistory, solveTime];
+        const newAnswers = [...answerHistory, guess];
         const newPuzzlesToday = puzzlesToday + 1;
-        localStorage.setItem('gchq-score', newScore);
-        localStorage.setItem('gchq-history', JSON.stringify(newHistory));
-        localStorage.setItem('gchq-puzzles-today', newPuzzlesToday);
+        saveProgress(archiveDay, { puzzlesDone: newPuzzlesToday, history: newHistory, hints: newHints, times: newTimes, answers: newAnswers });
+        if (archiveDay === null && newPuzzlesToday >= 5) {
+          recordDay({ date: getDateForDay(dropDay).toISOString().slice(0, 10), dayIndex: dropDay, points: newHistory, hints: newHints, times: newTimes });
+          if (settings.handle) submitResult({ dayIndex: dropDay, handle: settings.handle, points: newHistory, answers: newAnswers });
+        }
         setTimeout(() => {
-          setScore(newScore); setScoreHistory(newHistory); setPuzzlesToday(newPuzzlesToday);
-          setGuess(''); setShowHint(false); setAttempts(0); setStatus('idle');
+          setScore(newScore); setScoreHistory(newHistory); setHintHistory(newHints); setTimeHistory(newTimes); setAnswerHistory(newAnswers); setPuzzlesToday(newPuzzlesToday);
+          stopwatch.reset(); setElapsed(0); setTimed(null);
+          setGuess(''); setHintsUsed(0); setWorkbenchUsed(false); setShowWorkbench(false); setAttempts(0); setWrongGuesses([]); setStatus('idle');
           if (newPuzzlesToday >= 5) setGameState('done_for_day');
         }, 1500);
       } else {
-        sfx.error(); setStatus('error'); setAttempts(prev => prev + 1); 
+        sfx.error(); setStatus('error');
+        setAnnouncement(`Incorrect. ${guess} was rejected.`);
+        const newAttempts = attempts + 1;
+        const newWrongGuesses = [...wrongGuesses, guess.trim().toUpperCase()];
+        persistActive({ attempts: newAttempts, wrongGuesses: newWrongGuesses });
+        setAttempts(newAttempts); setWrongGuesses(newWrongGuesses);
         setTimeout(() => { setStatus('idle'); setGuess(''); }, 800);
       }
     }, 400);
   };
 
+  const persistActive = (changes) => {
+    const active = { attempts, hintsUsed, workbenchUsed, wrongGuesses, elapsed: stopwatch.read(clock()), timed, ...changes };
+    saveProgress(archiveDay, { puzzlesDone: puzzlesToday, history: scoreHistory, hints: hintHistory, times: timeHistory, answers: answerHistory, active });
+  };
+
+  const handleHint = () => {
+    persistActive({ hintsUsed: hintsUsed + 1 });
+    setHintsUsed(hintsUsed + 1);
+  };
+
+  const openWorkbench = () => {
+    if (!workbenchUsed) {
+      persistActive({ workbenchUsed: true });
+      setWorkbenchUsed(true);
+    }
+    setShowWorkbench(true);
+  };
+
+  const loadDrop = (dayIndex, progress) => {
+    setTodaysPuzzles(getPuzzlesForDay(dayIndex));
+    setPuzzlesToday(progress.puzzlesDone);
+    setScore(progress.score);
+    setScoreHistory(progress.history);
+    setHintHistory(progress.hints);
+    setTimeHistory(progress.times);
+    setAnswerHistory(progress.answers);
+    stopwatch.reset(progress.active.elapsed); setElapsed(progress.active.elapsed); setTimed(progress.active.timed);
+    setHintsUsed(progress.active.hintsUsed); setWorkbenchUsed(progress.active.workbenchUsed); setShowWorkbench(false); setAttempts(progress.active.attempts); setWrongGuesses(progress.active.wrongGuesses);
+    setGuess(''); setStatus('idle');
+    setGameState(progress.puzzlesDone >= 5 ? 'done_for_day' : 'playing');
+  };
+
+  const switchToDrop = (dayIndex) => {
+    const { today } = startDay(dayIndex);
+    setDropDay(dayIndex);
+    setRollover(null);
+    if (archiveDay !== null) return;
+    const screen = gameState;
+    loadDrop(dayIndex, today);
+    if (screen !== 'playing') setGameState(screen === 'done_for_day' ? 'landing' : screen);
+  };
+
+  const openArchiveDay = (dayIndex) => {
+    initAudio();
+    setArchiveDay(dayIndex);
+    loadDrop(dayIndex, loadProgress(dayIndex));
+  };
+
+  const returnToToday = () => {
+    const progress = loadProgress();
+    setArchiveDay(null);
+    loadDrop(dropDay, progress);
+    if (progress.puzzlesDone === 0) setGameState('landing');
+  };
+
+  const playChallengeDay = () => {
+    const { dayIndex } = challenge.result;
+    if (dayIndex !== dropDay) {
+      openArchiveDay(dayIndex);
+    } else if (archiveDay !== null) {
+      returnToToday();
+    } else {
+      initAudio();
+      setGameState(puzzlesToday > 0 ? 'playing' : 'rules');
+    }
+  };
+
+  const dismissChallenge = () => {
+    setChallenge(null);
+    clearChallengeParam();
+  };
+
+  const challengeCard = challenge && (
+    <ChallengeCard challenge={challenge} run={challenge.result ? loadRun(challenge.result.dayIndex) : null} onPlay={gameState === 'playing' && sharedDay === challenge.result?.dayIndex ? undefined : playChallengeDay} onDismiss={dismissChallenge} />
+  );
+
   const handleShare = async () => {
-    const dayNum = getDayIndex();
-    const blocks = scoreHistory.map(pts => {
-      if (pts === 100) return '🟩';
-      if (pts === 75) return '🟨';
-      if (pts === 50) return '🟧';
-      if (pts === 25) return '🟥';
-      return '⬛'; 
-    }).join('');
-    let rank = "Field Agent";
-    if (score === 500) rank = "Double-O Status 🕵️‍♂️";
-    else if (score >= 400) rank = "Senior Intelligence 🗄️";
-    else if (score >= 200) rank = "Field Agent 🏃";
-    else rank = "Burn Notice 🚨";
-    const shareText = `The Dead Drop - Day ${dayNum}\nRank: ${rank}\nScore: ${score}/500\n\n${blocks}`;
+    const dayNum = sharedDay;
+    const timed = timeHistory.some(time => time !== null);
+    const blocks = scoreHistory.map((pts, i) => {
+      const marks = (hintHistory[i] ? `💡${hintHistory[i]}` : '') + (timeHistory[i] !== null ? ` ${formatDuration(timeHistory[i])}` : '');
+      if (pts === 100) return '🟩' + marks;
+      if (pts >= 75) return '🟨' + marks;
+      if (pts >= 50) return '🟧' + marks;
+      if (pts >= 25) return '🟥' + marks;
+      return '⬛' + marks; 
+    }).join(timed ? '\n' : hintHistory.some(Boolean) ? ' ' : '');
+    const rank = getRank(score);
+    const dayLabel = archiveDay !== null ? `Day ${dayNum} (archive)` : `Day ${dayNum}`;
+    const challengeLine = shareToken ? `\n\nCan you beat it? ${buildChallengeUrl(shareToken)}` : '';
+    const shareText = `The Dead Drop - ${dayLabel}\nRank: ${rank}\nScore: ${score}/500\n\n${blocks}${challengeLine}`;
     if (navigator.share) {
       try { await navigator.share({ title: 'The Dead Drop', text: shareText });
       } catch (err) { console.log("Share canceled", err); }
@@ -209,7 +295,7 @@ export default function App() {
 
   if (gameState === 'landing') {
     return (
-      <div className="min-h-screen bg-[#0f172a] flex items-center justify-center p-4 font-sans relative overflow-hidden">
+      <div className={`min-h-screen bg-[#0f172a] flex items-center justify-center p-4 font-sans relative overflow-hidden ${screenClass}`}>
         <div className="absolute inset-0 opacity-[0.03] bg-[linear-gradient(to_right,#80808012_1px,transparent_1px),linear-gradient(to_bottom,#80808012_1px,transparent_1px)] bg-[size:24px_24px]"></div>
         <div className="text-center space-y-8 max-w-lg animate-fade-up z-10 p-8 rounded-3xl bg-slate-900/50 border border-slate-800 backdrop-blur-sm shadow-2xl w-full">
           <div className="space-y-4">
@@ -234,6 +320,9 @@ export default function App() {
             <span>Commence Briefing</span>
             <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg>
           </button>
+          <button onClick={() => setGameState('archive')} className="w-full py-3 text-slate-400 hover:text-indigo-400 border border-slate-800 hover:border-indigo-500/50 rounded-xl transition-colors font-medium tracking-wide">Access Archive</button>
+          {challengeCard}
+          <StatsPanel todayIndex={dropDay} />
         </div>
       </div>
     );
@@ -241,7 +330,7 @@ export default function App() {
 
   if (gameState === 'rules') {
     return (
-      <div className="min-h-screen bg-[#0f172a] flex items-center justify-center p-4 font-sans relative overflow-hidden">
+      <div className={`min-h-screen bg-[#0f172a] flex items-center justify-center p-4 font-sans relative overflow-hidden ${screenClass}`}>
         <div className="absolute inset-0 opacity-[0.03] bg-[linear-gradient(to_right,#80808012_1px,transparent_1px),linear-gradient(to_bottom,#80808012_1px,transparent_1px)] bg-[size:24px_24px]"></div>
         <div className="space-y-6 max-w-lg animate-fade-up z-10 p-8 rounded-3xl bg-slate-900/50 border border-slate-800 backdrop-blur-sm shadow-2xl w-full text-left">
           <div className="border-b border-slate-800 pb-4">
@@ -249,14 +338,15 @@ export default function App() {
             <h2 className="text-3xl font-light tracking-tight text-white mt-1">Operational Guidelines</h2>
           </div>
           <div className="space-y-6 text-slate-300 font-light leading-relaxed">
-            <p>Every day at midnight, a new cache of <strong className="text-indigo-400 font-medium">5 encrypted intercepts</strong> is left here. Every operative receives the same puzzles.</p>
+            <p>Every day at {String(DROP_HOUR_UTC).padStart(2, '0')}:00 UTC ({new Date(getDropTime(dropDay + 1)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} your time), a new cache of <strong className="text-indigo-400 font-medium">5 encrypted intercepts</strong> is left here. Every operative receives the same puzzles.</p>
             <div className="bg-slate-950/50 p-5 rounded-xl border border-slate-800/50">
               <ul className="space-y-3 font-mono text-sm">
                 <li className="flex items-center space-x-3"><span className="w-4 h-4 bg-emerald-500 rounded-sm"></span><span><strong className="text-emerald-400">100 PTS</strong> - First Attempt</span></li>
                 <li className="flex items-center space-x-3"><span className="w-4 h-4 bg-yellow-400 rounded-sm"></span><span><strong className="text-yellow-400">75 PTS</strong> - Second Attempt</span></li>
                 <li className="flex items-center space-x-3"><span className="w-4 h-4 bg-orange-500 rounded-sm"></span><span><strong className="text-orange-400">50 PTS</strong> - Third Attempt</span></li>
                 <li className="flex items-center space-x-3"><span className="w-4 h-4 bg-rose-500 rounded-sm"></span><span><strong className="text-rose-400">25 PTS</strong> - Fourth+ Attempt</span></li>
-                <li className="flex items-center space-x-3"><span className="w-4 h-4 bg-slate-800 rounded-sm border border-slate-600"></span><span><strong className="text-slate-400">0 PTS</strong> - Hint Requested</span></li>
+                <li className="flex items-center space-x-3"><span className="w-4 h-4 bg-slate-800 rounded-sm border border-slate-600"></span><span><strong className="text-slate-400">-{HINT_COST} PTS</strong> - Per Hint Revealed</span></li>
+                <li className="flex items-center space-x-3"><span className="w-4 h-4 bg-slate-800 rounded-sm border border-slate-600"></span><span><strong className="text-slate-400">-{LETTER_REVEAL_COST} PTS</strong> - First Letter Revealed</span></li>
               </ul>
             </div>
           </div>
@@ -269,24 +359,96 @@ export default function App() {
     );
   }
 
+  if (gameState === 'archive') {
+    const todayIndex = dropDay;
+    const archive = loadArchive();
+    const year = archiveMonth.getUTCFullYear();
+    const month = archiveMonth.getUTCMonth();
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const leadingBlanks = archiveMonth.getUTCDay();
+    const firstDayOfMonth = getDayForDate(year, month, 1);
+    const canGoBack = firstDayOfMonth > 0;
+    const canGoForward = firstDayOfMonth + daysInMonth < todayIndex;
+    return (
+      <div className={`min-h-screen bg-[#0f172a] flex items-center justify-center p-4 font-sans relative overflow-hidden ${screenClass}`}>
+        <div className="absolute inset-0 opacity-[0.03] bg-[linear-gradient(to_right,#80808012_1px,transparent_1px),linear-gradient(to_bottom,#80808012_1px,transparent_1px)] bg-[size:24px_24px]"></div>
+        <div className="space-y-6 max-w-lg animate-fade-up z-10 p-8 rounded-3xl bg-slate-900/50 border border-slate-800 backdrop-blur-sm shadow-2xl w-full text-left">
+          <div className="border-b border-slate-800 pb-4">
+            <span className="text-indigo-500 font-mono tracking-widest text-sm uppercase font-bold">Records Room</span>
+            <h2 className="text-3xl font-light tracking-tight text-white mt-1">Drop Archive</h2>
+          </div>
+          <div className="flex justify-between items-center">
+            <button onClick={() => setArchiveMonth(new Date(Date.UTC(year, month - 1, 1)))} disabled={!canGoBack} className="p-2 rounded-lg text-slate-400 hover:text-indigo-400 hover:bg-slate-800/50 disabled:opacity-30 disabled:pointer-events-none">
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" /></svg>
+            </button>
+            <span className="text-slate-300 font-mono uppercase tracking-widest text-sm">{archiveMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })}</span>
+            <button onClick={() => setArchiveMonth(new Date(Date.UTC(year, month + 1, 1)))} disabled={!canGoForward} className="p-2 rounded-lg text-slate-400 hover:text-indigo-400 hover:bg-slate-800/50 disabled:opacity-30 disabled:pointer-events-none">
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" /></svg>
+            </button>
+          </div>
+          <div className="grid grid-cols-7 gap-2 font-mono text-xs">
+            {['S', 'M', 'T', 'W', 'T', 'F', 'S'].map((d, i) => <span key={i} className="text-center text-slate-600 font-bold">{d}</span>)}
+            {[...Array(leadingBlanks)].map((_, i) => <span key={`blank-${i}`}></span>)}
+            {[...Array(daysInMonth)].map((_, i) => {
+              const dayIndex = firstDayOfMonth + i;
+              const playable = dayIndex >= 0 && dayIndex < todayIndex;
+              const record = archive[dayIndex];
+              const stateClass = !playable ? 'text-slate-700 border-transparent cursor-not-allowed' : record?.puzzlesDone >= 5 ? 'bg-emerald-500/10 border-emerald-500/40 text-emerald-400 hover:bg-emerald-500/20' : record?.puzzlesDone > 0 ? 'bg-amber-500/10 border-amber-500/40 text-amber-400 hover:bg-amber-500/20' : 'border-slate-700 text-slate-300 hover:border-indigo-500 hover:text-indigo-400';
+              return (
+                <button key={dayIndex} onClick={() => openArchiveDay(dayIndex)} disabled={!playable} title={playable ? `Day ${dayIndex}` : undefined} className={`aspect-square rounded-lg border flex flex-col items-center justify-center transition-colors ${stateClass}`}>
+                  <span className="text-sm">{i + 1}</span>
+                  {playable && <span className="text-[10px] opacity-60">#{dayIndex}</span>}
+                </button>
+              );
+            })}
+          </div>
+          <button onClick={returnToToday} className="w-full py-3 text-slate-400 hover:text-indigo-400 border border-slate-800 hover:border-indigo-500/50 rounded-xl transition-colors font-medium tracking-wide">Return to Today's Drop</button>
+        </div>
+      </div>
+    );
+  }
+
   if (gameState === 'done_for_day') {
     return (
-      <div className="min-h-screen bg-[#0f172a] flex items-center justify-center p-4 font-sans relative">
+      <div className={`min-h-screen bg-[#0f172a] flex items-center justify-center p-4 font-sans relative ${screenClass}`}>
         <div className="text-center space-y-6 max-w-md w-full animate-fade-up bg-slate-900/50 pt-10 px-6 sm:px-10 rounded-3xl border border-slate-800 shadow-2xl overflow-hidden">
           <div className="w-20 h-20 bg-emerald-500/10 rounded-full flex items-center justify-center mx-auto mb-4 border border-emerald-500/20">
             <svg className="w-10 h-10 text-emerald-400" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
           </div>
-          <h1 className="text-3xl font-light tracking-tight text-white">Transmission Complete</h1>
+          <h1 className="text-3xl font-light tracking-tight text-white">{archiveDay !== null ? `Archive Day ${archiveDay} Complete` : 'Transmission Complete'}</h1>
           <div className="pt-8 mt-6 border-t border-slate-800 bg-slate-950/80 -mx-6 sm:-mx-10 px-6 sm:px-10 pb-8 flex flex-col items-center">
-             <p className="text-slate-500 text-sm uppercase tracking-widest font-bold mb-2">Final Daily Score</p>
+             <p className="text-slate-500 text-sm uppercase tracking-widest font-bold mb-2">{archiveDay !== null ? 'Archive Score' : 'Final Daily Score'}</p>
              <p className="text-emerald-400 font-mono text-6xl mb-6">{score} <span className="text-3xl text-slate-600">/ 500</span></p>
-             <div className="mb-8 w-full bg-slate-900 border border-slate-700 rounded-xl p-4 flex flex-col items-center">
-                <span className="text-slate-500 text-xs font-bold uppercase tracking-widest mb-1">Next Intel Drop</span>
-                <span className="text-indigo-400 font-mono text-3xl animate-pulse">{timeLeft}</span>
-             </div>
+             {timeHistory.some(time => time !== null) && (
+               <div className="mb-8 w-full bg-slate-900 border border-slate-700 rounded-xl p-4 space-y-2 text-left">
+                  <span className="block text-slate-500 text-xs font-bold uppercase tracking-widest mb-1">Solve Times</span>
+                  {scoreHistory.map((pts, i) => (
+                    <div key={i} className="flex justify-between font-mono text-sm">
+                      <span className="text-slate-400">Intel {i + 1} <span className="text-slate-600">&middot; {pts} pts</span></span>
+                      <span className="text-indigo-300">{timeHistory[i] === null ? '—' : formatDuration(timeHistory[i])}</span>
+                    </div>
+                  ))}
+               </div>
+             )}
+             {archiveDay === null && (rollover ? (
+               <button onClick={() => switchToDrop(rollover.day)} className="mb-8 w-full bg-slate-900 border border-indigo-500/50 hover:border-indigo-400 rounded-xl p-4 flex flex-col items-center transition-colors">
+                  <span className="text-slate-500 text-xs font-bold uppercase tracking-widest mb-1">New Intel Drop Live</span>
+                  <span className="text-indigo-400 font-mono text-2xl">Open Day {rollover.day} &rarr;</span>
+               </button>
+             ) : (
+               <div className="mb-8 w-full bg-slate-900 border border-slate-700 rounded-xl p-4 flex flex-col items-center">
+                  <span className="text-slate-500 text-xs font-bold uppercase tracking-widest mb-1">Next Intel Drop</span>
+                  <span className="text-indigo-400 font-mono text-3xl animate-pulse">{timeLeft}</span>
+               </div>
+             ))}
              <button onClick={handleShare} className={`w-full mb-4 py-3 rounded-xl transition-all duration-300 font-bold flex justify-center items-center space-x-2 ${copied ? 'bg-emerald-600 text-white' : 'bg-indigo-600 text-white hover:bg-indigo-500 shadow-lg shadow-indigo-500/20'}`}>
                 {copied ? <span>Copied!</span> : <><span>Share Results</span><svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" /></svg></>}
              </button>
+             <button onClick={() => setGameState('archive')} className="w-full py-3 text-slate-400 hover:text-indigo-400 border border-slate-800 hover:border-indigo-500/50 rounded-xl transition-colors font-medium tracking-wide">Browse Archive</button>
+             {archiveDay !== null && <button onClick={returnToToday} className="w-full mt-3 py-3 text-slate-500 hover:text-slate-300 transition-colors font-medium tracking-wide">Return to Today's Drop</button>}
+             {archiveDay === null && leaderboardEnabled() && <div className="w-full mt-6"><LeaderboardPanel dayIndex={dropDay} points={scoreHistory} answers={answerHistory} /></div>}
+             {challengeCard && <div className="w-full mt-6">{challengeCard}</div>}
+             <div className="w-full mt-6"><StatsPanel todayIndex={dropDay} /></div>
           </div>
         </div>
       </div>
@@ -295,41 +457,82 @@ export default function App() {
 
   const currentPuzzleId = todaysPuzzles[puzzlesToday];
   const currentPuzzle = currentPuzzleId ? puzzles.find(p => p.id === currentPuzzleId) : null;
-  const currentPuzzleValue = showHint ? 0 : (attempts === 0 ? 100 : (attempts === 1 ? 75 : (attempts === 2 ? 50 : 25)));
+  const currentPuzzleValue = currentPuzzle ? scorePuzzle(currentPuzzle, { attempts, hintsUsed, workbenchUsed }) : 0;
+  const hintTiers = currentPuzzle ? getHintTiers(currentPuzzle) : [];
 
   if (!currentPuzzle) return null;
 
   return (
-    <div className="min-h-screen p-4 md:p-8 flex flex-col items-center justify-center bg-[#0f172a] font-sans">
+    <div className={`min-h-screen p-4 md:p-8 flex flex-col items-center justify-center bg-[#0f172a] font-sans ${screenClass}`}>
+      <p role="status" aria-live="polite" className="sr-only">{announcement}</p>
+      {rolloverPrompt && (
+        <div role="alertdialog" aria-modal="true" aria-labelledby="rollover-title" className="fixed inset-0 z-[70] bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-4">
+          <div className="max-w-md w-full p-8 rounded-3xl bg-slate-900 border border-indigo-500/50 shadow-2xl space-y-5 text-center animate-fade-up">
+            <span className="text-indigo-500 font-mono tracking-widest text-sm uppercase font-bold">Incoming Transmission</span>
+            <h2 id="rollover-title" className="text-2xl font-light tracking-tight text-white">Day {rollover.day} has dropped</h2>
+            <p className="text-slate-400 font-light leading-relaxed">Switch now and your progress on Day {dropDay} moves to the archive, where you can finish it later. Or finish Day {dropDay} first and it still counts towards your stats.</p>
+            <button onClick={() => switchToDrop(rollover.day)} className="w-full py-3 bg-indigo-600 hover:bg-indigo-500 text-white rounded-xl font-medium tracking-wide">Open Day {rollover.day}</button>
+            <button onClick={() => setRollover({ ...rollover, deferred: true })} className="w-full py-3 text-slate-400 hover:text-indigo-400 border border-slate-800 hover:border-indigo-500/50 rounded-xl transition-colors font-medium tracking-wide">Finish Day {dropDay} First</button>
+          </div>
+        </div>
+      )}
       <div className="fixed top-0 left-0 w-full bg-slate-900/50 backdrop-blur-md border-b border-slate-800 py-4 px-6 flex justify-center items-center z-50">
+        {archiveDay !== null && (
+          <button onClick={() => setGameState('archive')} className="absolute left-6 text-xs font-mono uppercase tracking-widest text-amber-400 hover:text-amber-300 transition-colors">&larr; Archive &middot; Day {archiveDay}</button>
+        )}
+        {rollover?.deferred && archiveDay === null && (
+          <button onClick={() => switchToDrop(rollover.day)} className="absolute right-6 text-xs font-mono uppercase tracking-widest text-indigo-400 hover:text-indigo-300 transition-colors">Day {rollover.day} Live &rarr;</button>
+        )}
         <div className="flex space-x-3">
            {[...Array(5)].map((_, i) => (
              <div key={i} className={`h-2.5 w-10 rounded-full transition-all duration-500 ${i < puzzlesToday ? 'bg-indigo-500 shadow-[0_0_12px_rgba(99,102,241,0.6)]' : i === puzzlesToday ? 'bg-slate-600 animate-pulse' : 'bg-slate-800'}`} />
            ))}
         </div>
       </div>
-      <div className="w-full max-w-2xl animate-fade-up bg-slate-900/50 p-8 md:p-12 rounded-2xl border border-slate-800 shadow-2xl mt-12" key={puzzlesToday}>
-        <div className="flex justify-between items-center mb-10 border-b border-slate-800 pb-4">
-          <span className="text-indigo-400 text-sm font-semibold tracking-widest uppercase flex items-center space-x-3">
-            <span>Intel {puzzlesToday + 1}/5</span>
-            <span className="text-slate-600">|</span>
-            <span className={`transition-colors duration-300 ${currentPuzzleValue === 100 ? 'text-emerald-400' : currentPuzzleValue === 0 ? 'text-rose-500' : 'text-amber-400'}`}>VALUE: {currentPuzzleValue} PTS</span>
-          </span>
-          <span className="text-slate-500 text-sm font-mono bg-slate-800 px-3 py-1 rounded-md">ID: {currentPuzzle.id.toString().padStart(4, '0')}</span>
-        </div>
-        <div className="mb-12 space-y-6">
-          <h2 className="text-3xl font-medium text-white tracking-tight">{currentPuzzle.title}</h2>
-          <div className="text-lg text-slate-300 font-light leading-relaxed whitespace-pre-wrap">{currentPuzzle.text}</div>
-        </div>
-        <div className="relative mb-8">
-          <form onSubmit={handleSubmit} className="relative flex items-center">
-            <input ref={inputRef} type="text" value={guess} onChange={(e) => { if (e.target.value.length > guess.length) sfx.type(); setGuess(e.target.value); }} disabled={status === 'success' || status === 'checking'} className={`w-full bg-slate-950 border-2 rounded-xl pl-6 pr-16 py-4 text-xl font-mono uppercase tracking-[0.2em] outline-none transition-all duration-200 ${status === 'idle' ? 'border-slate-700 text-white focus:border-indigo-500' : ''} ${status === 'error' ? 'border-rose-500 text-rose-400 bg-rose-950/30' : ''} ${status === 'success' ? 'border-emerald-500 text-emerald-400 bg-emerald-950/30' : ''} ${status === 'checking' ? 'border-slate-600 text-slate-500' : ''}`} placeholder="ENTER ANSWER" autoComplete="off" />
-            <button type="submit" disabled={!guess || status !== 'idle'} className={`absolute right-3 p-2 rounded-lg transition-colors ${guess && status === 'idle' ? 'bg-indigo-600 text-white hover:bg-indigo-500' : 'bg-slate-800 text-slate-600 cursor-not-allowed'}`}><svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg></button>
-          </form>
-        </div>
-        <div className="flex justify-center h-16 items-center">
-          {!showHint ? <button onClick={() => setShowHint(true)} className="text-sm text-slate-500 hover:text-rose-400 transition-colors font-medium tracking-wide flex items-center space-x-2 px-4 py-2 rounded-full hover:bg-slate-800/50"><svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg><span>Need a hint? (Forfeits points)</span></button> : <div className="text-sm text-amber-200 bg-amber-900/30 px-6 py-4 rounded-xl border border-amber-700/50 w-full text-center font-light shadow-lg"><span className="font-bold text-amber-500 uppercase text-xs tracking-wider block mb-1">Decryption Hint</span>{currentPuzzle.hint}</div>}
+      {challengeCard && <div className="w-full max-w-2xl mt-16 -mb-4">{challengeCard}</div>}
+      <div className="w-full max-w-2xl lg:max-w-6xl flex flex-col lg:flex-row lg:items-start lg:justify-center gap-6 mt-12">
+        <div className="w-full max-w-2xl animate-fade-up bg-slate-900/50 p-8 md:p-12 rounded-2xl border border-slate-800 shadow-2xl" key={puzzlesToday}>
+          <div className="flex justify-between items-center mb-10 border-b border-slate-800 pb-4">
+            <span className="text-indigo-400 text-sm font-semibold tracking-widest uppercase flex items-center space-x-3">
+              <span>Intel {puzzlesToday + 1}/5</span>
+              <span className="text-slate-600">|</span>
+              <span className={`transition-colors duration-300 ${currentPuzzleValue === 100 ? 'text-emerald-400' : currentPuzzleValue === 0 ? 'text-rose-500' : 'text-amber-400'}`}>VALUE: {currentPuzzleValue} PTS</span>
+              {settings.speedMode && <><span className="text-slate-600">|</span>{timed ? <span className="font-mono text-slate-300" aria-label="Solve time">{formatDuration(elapsed)}</span> : <span className="text-slate-500" title="Speed mode was off when this intercept appeared. Timing starts with the next one.">UNTIMED</span>}</>}
+            </span>
+            <span className="text-slate-500 text-sm font-mono bg-slate-800 px-3 py-1 rounded-md">ID: {currentPuzzle.id.toString().padStart(4, '0')}</span>
+          </div>
+          <div className="mb-12 space-y-6">
+            <h2 className="text-3xl font-medium text-white tracking-tight">{currentPuzzle.title}</h2>
+            {isAudioPuzzle(currentPuzzle) ? (
+              <>
+                <div className="text-lg text-slate-300 font-light leading-relaxed whitespace-pre-wrap">{currentPuzzle.prompt || 'Play the intercepted transmission and decode it.'}</div>
+                <TransmissionPlayer puzzle={currentPuzzle} />
+              </>
+            ) : (
+              <div className="text-lg text-slate-300 font-light leading-relaxed whitespace-pre-wrap">{currentPuzzle.text}</div>
+            )}
+          </div>
+          <div className="relative mb-8">
+            <form onSubmit={handleSubmit} className="relative flex items-center">
+              <input ref={inputRef} type="text" value={guess} onChange={(e) => { if (e.target.value.length > guess.length) sfx.type(); setGuess(e.target.value); }} disabled={status === 'success' || status === 'checking'} className={`w-full bg-slate-950 border-2 rounded-xl pl-6 pr-16 py-4 text-xl font-mono uppercase tracking-[0.2em] outline-none transition-all duration-200 ${status === 'idle' ? 'border-slate-700 text-white focus:border-indigo-500' : ''} ${status === 'error' ? 'border-rose-500 text-rose-400 bg-rose-950/30' : ''} ${status === 'success' ? 'border-emerald-500 text-emerald-400 bg-emerald-950/30' : ''} ${status === 'checking' ? 'border-slate-600 text-slate-500' : ''} ${status === 'close' ? 'border-amber-400 text-amber-300 bg-amber-950/30' : ''}`} placeholder="ENTER ANSWER" autoComplete="off" />
+              <button type="submit" disabled={!guess || status !== 'idle'} className={`absolute right-3 p-2 rounded-lg transition-colors ${guess && status === 'idle' ? 'bg-indigo-600 text-white hover:bg-indigo-500' : 'bg-slate-800 text-slate-600 cursor-not-allowed'}`}><svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" /></svg></button>
+            </form>
+            {status === 'close' && <p className="mt-3 text-sm font-mono uppercase tracking-widest text-amber-400 text-left">You're warm. That attempt is on the house.</p>}
+            {wrongGuesses.length > 0 && (
+              <p className="mt-3 text-xs font-mono uppercase tracking-widest text-slate-600 text-left">Rejected: <span className="text-rose-400/70">{wrongGuesses.join(' · ')}</span></p>
+            )}
+          </div>
+          <div className="flex flex-col justify-center min-h-16 items-center space-y-3">
+            {hintTiers.slice(0, hintsUsed).map((tier, i) => (
+              <div key={i} className="text-sm text-amber-200 bg-amber-900/30 px-6 py-4 rounded-xl border border-amber-700/50 w-full text-center font-light shadow-lg"><span className="font-bold text-amber-500 uppercase text-xs tracking-wider block mb-1">{tier.kind === 'letter' ? 'First Letter' : `Decryption Hint ${i + 1}`}</span>{tier.text}</div>
+            ))}
+            {hintsUsed < hintTiers.length && <button onClick={handleHint} className="text-sm text-slate-500 hover:text-rose-400 transition-colors font-medium tracking-wide flex items-center space-x-2 px-4 py-2 rounded-full hover:bg-slate-800/50"><svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg><span>{hintTiers[hintsUsed].kind === 'letter' ? 'Reveal first letter?' : hintsUsed === 0 ? 'Need a hint?' : 'Need another hint?'} (-{hintTiers[hintsUsed].cost} pts)</span></button>}
+            {currentPuzzle.cipher && !showWorkbench && (
+              <button onClick={openWorkbench} className="text-sm text-slate-500 hover:text-indigo-400 transition-colors font-medium tracking-wide flex items-center space-x-2 px-4 py-2 rounded-full hover:bg-slate-800/50"><svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z M15 12a3 3 0 11-6 0 3 3 0 016 0z" /></svg><span>{workbenchUsed || !WORKBENCH_COST ? 'Open cipher workbench' : `Open cipher workbench? (-${WORKBENCH_COST} pts)`}</span></button>
+            )}
+          </div>
         </div>
+        {showWorkbench && <CipherWorkbench key={currentPuzzle.id} puzzle={currentPuzzle} onClose={() => setShowWorkbench(false)} />}
       </div>
     </div>
   );
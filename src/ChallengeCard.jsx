@@ -0,0 +1,75 @@
+import { formatDuration } from './stopwatch';
+
+const blockClass = (pts) => {
+  if (pts === 100) return 'bg-emerald-500';
+  if (pts >= 75) return 'bg-yellow-400';
+  if (pts >= 50) return 'bg-orange-500';
+  if (pts >= 25) return 'bg-rose-500';
+  return 'bg-slate-800 border border-slate-600';
+};
+
+const totalTime = (times) => (times.every(time => time !== null) ? times.reduce((sum, time) => sum + time, 0) : null);
+
+const RunCell = ({ points, hints, times, i }) => (
+  <span className="flex items-center justify-end space-x-2">
+    <span className={`w-3 h-3 rounded-sm ${blockClass(points[i])}`}></span>
+    <span className="text-slate-200">{points[i]}</span>
+    {hints[i] > 0 && <span className="text-amber-400 text-xs">💡{hints[i]}</span>}
+    {times[i] !== null && <span className="text-indigo-300 text-xs">{formatDuration(times[i])}</span>}
+  </span>
+);
+
+const verdict = (friend, run) => {
+  const yours = run.points.reduce((sum, pts) => sum + pts, 0);
+  if (yours !== friend.score) return yours > friend.score ? `You win by ${yours - friend.score} pts` : `Your friend wins by ${friend.score - yours} pts`;
+  const [friendTime, yourTime] = [totalTime(friend.times), totalTime(run.times)];
+  if (friendTime !== null && yourTime !== null && friendTime !== yourTime) return yourTime < friendTime ? 'Level on points; you were faster' : 'Level on points; your friend was faster';
+  return 'Dead heat';
+};
+
+// `challenge` is { result } for a verified link or { error } for a rejected one; `run` is the
+// player's own finished run for the same day, if there is one.
+export default function ChallengeCard({ challenge, run, onPlay, onDismiss }) {
+  const { result, error } = challenge;
+  return (
+    <div className="w-full bg-slate-950/50 border border-indigo-500/40 rounded-xl p-5 text-left space-y-4">
+      <div className="flex justify-between items-center">
+        <span className="text-indigo-400 text-xs font-bold uppercase tracking-widest">{result ? `Your Friend's Result · Day ${result.dayIndex}` : "Your Friend's Result"}</span>
+        <button onClick={onDismiss} aria-label="Dismiss challenge" className="text-slate-500 hover:text-slate-300 transition-colors">
+          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg>
+        </button>
+      </div>
+      {error ? (
+        <p className="text-rose-400 text-sm font-mono">{error}</p>
+      ) : (
+        <>
+          <div className="space-y-1.5 font-mono text-sm">
+            <div className={`grid ${run ? 'grid-cols-3' : 'grid-cols-2'} text-slate-500 text-[10px] font-bold uppercase tracking-widest`}>
+              <span>Intel</span><span className="text-right">Friend</span>{run && <span className="text-right">You</span>}
+            </div>
+            {result.points.map((_, i) => (
+              <div key={i} className={`grid ${run ? 'grid-cols-3' : 'grid-cols-2'} items-center`}>
+                <span className="text-slate-400">{i + 1}</span>
+                <RunCell {...result} i={i} />
+                {run && <RunCell {...run} i={i} />}
+              </div>
+            ))}
+            <div className={`grid ${run ? 'grid-cols-3' : 'grid-cols-2'} pt-2 border-t border-slate-800 text-white`}>
+              <span className="text-slate-400">Total</span>
+              <span className="text-right">{result.score}</span>
+              {run && <span className="text-right">{run.points.reduce((sum, pts) => sum + pts, 0)}</span>}
+            </div>
+          </div>
+          {run ? (
+            <p className="text-emerald-400 text-sm font-mono uppercase tracking-widest text-center">{verdict(result, run)}</p>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-slate-400 text-sm font-light">Finish Day {result.dayIndex} to see both runs side by side.</p>
+              {onPlay && <button onClick={onPlay} className="w-full py-2.5 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg font-medium text-sm tracking-wide">Play Day {result.dayIndex}</button>}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
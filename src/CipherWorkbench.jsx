@@ -0,0 +1,39 @@
+import { useState } from 'react';
+import { CIPHER_TOOLS, applyTool, getCipherPayload } from './ciphers';
+
+export default function CipherWorkbench({ puzzle, onClose }) {
+  const [tool, setTool] = useState(puzzle.cipher || 'caesar');
+  const [shift, setShift] = useState(0);
+  const [input, setInput] = useState(() => getCipherPayload(puzzle.text));
+  const output = applyTool(tool, input, { shift });
+
+  return (
+    <aside className="w-full lg:w-80 shrink-0 bg-slate-900/50 border border-slate-800 rounded-2xl p-6 shadow-2xl space-y-5 text-left animate-fade-up">
+      <div className="flex justify-between items-center border-b border-slate-800 pb-3">
+        <span className="text-indigo-400 text-xs font-bold uppercase tracking-widest">Cipher Workbench</span>
+        <button onClick={onClose} aria-label="Close workbench" className="text-slate-500 hover:text-slate-300 transition-colors">
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg>
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {CIPHER_TOOLS.map(({ id, label }) => (
+          <button key={id} onClick={() => setTool(id)} className={`px-3 py-1.5 rounded-lg text-xs font-mono uppercase tracking-widest transition-colors ${tool === id ? 'bg-indigo-600 text-white' : 'bg-slate-800 text-slate-400 hover:text-indigo-300'}`}>{label}</button>
+        ))}
+      </div>
+      <label className="block space-y-1">
+        <span className="text-slate-500 text-[10px] font-bold uppercase tracking-widest">Intercept</span>
+        <textarea value={input} onChange={(e) => setInput(e.target.value)} rows={3} className="w-full bg-slate-950 border border-slate-700 rounded-lg p-3 font-mono text-sm text-slate-200 outline-none focus:border-indigo-500 resize-none" />
+      </label>
+      {tool === 'caesar' && (
+        <label className="block space-y-1 font-mono text-xs text-slate-400">
+          <span className="uppercase tracking-widest">Shift: +{shift} {shift > 0 && `(back ${26 - shift})`}</span>
+          <input type="range" min="0" max="25" value={shift} onChange={(e) => setShift(Number(e.target.value))} className="w-full accent-indigo-500" />
+        </label>
+      )}
+      <div className="space-y-1">
+        <span className="text-slate-500 text-[10px] font-bold uppercase tracking-widest">Output</span>
+        <p className="min-h-12 bg-slate-950 border border-emerald-500/30 rounded-lg p-3 font-mono text-lg text-emerald-300 tracking-widest break-words">{output || '—'}</p>
+      </div>
+    </aside>
+  );
+}
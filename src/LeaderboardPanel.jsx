@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { useSettings, updateSettings } from './settings';
+import { useSubmission, submitResult, fetchBoard } from './leaderboard';
+
+const BOARD_SIZE = 10;
+
+export default function LeaderboardPanel({ dayIndex, points, answers }) {
+  const settings = useSettings();
+  const submission = useSubmission(dayIndex);
+  const [handle, setHandle] = useState(settings.handle);
+  const [board, setBoard] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Refetched whenever this day's submission changes, so a freshly posted run shows up.
+  useEffect(() => {
+    let cancelled = false;
+    fetchBoard(dayIndex).then(
+      (data) => { if (!cancelled) { setBoard(data.entries); setError(null); } },
+      () => { if (!cancelled) setError('Board unavailable. Check your connection.'); },
+    );
+    return () => { cancelled = true; };
+  }, [dayIndex, submission]);
+
+  const handlePost = (e) => {
+    e.preventDefault();
+    const trimmed = handle.trim();
+    if (!trimmed) return;
+    updateSettings({ handle: trimmed });
+    submitResult({ dayIndex, handle: trimmed, points, answers });
+  };
+
+  const ownHandle = (submission?.handle || settings.handle).toLowerCase();
+
+  return (
+    <div className="w-full bg-slate-950/50 border border-slate-800 rounded-xl p-5 text-left space-y-4">
+      <span className="block text-slate-500 text-xs font-bold uppercase tracking-widest">Day {dayIndex} Leaderboard</span>
+      {submission?.status === 'posted' && <p className="text-emerald-400 text-xs font-mono">Posted as {submission.handle}.</p>}
+      {submission?.status === 'queued' && <p className="text-amber-400 text-xs font-mono">Result queued. It will post as soon as the board is reachable.</p>}
+      {submission?.status === 'rejected' && <p className="text-rose-400 text-xs font-mono">{submission.message}</p>}
+      {(!submission || submission.status === 'rejected') && (
+        <form onSubmit={handlePost} className="flex space-x-2">
+          <input type="text" value={handle} onChange={(e) => setHandle(e.target.value)} maxLength={24} placeholder="Operative handle" aria-label="Leaderboard handle" className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 font-mono text-sm text-slate-200 outline-none focus:border-indigo-500" />
+          <button type="submit" disabled={!handle.trim()} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg text-sm font-medium disabled:opacity-30 disabled:pointer-events-none">Post</button>
+        </form>
+      )}
+      {error && <p className="text-slate-500 text-sm font-light">{error}</p>}
+      {board && (board.length === 0 ? (
+        <p className="text-slate-500 text-sm font-light">No results posted for this day yet.</p>
+      ) : (
+        <ol className="space-y-1 font-mono text-sm">
+          {board.slice(0, BOARD_SIZE).map((entry, i) => (
+            <li key={entry.handle} className={`flex justify-between rounded px-2 py-1 ${entry.handle.toLowerCase() === ownHandle ? 'bg-indigo-500/10 text-indigo-300' : 'text-slate-300'}`}>
+              <span><span className="text-slate-600 mr-3">{i + 1}.</span>{entry.handle}</span>
+              <span>{entry.score}</span>
+            </li>
+          ))}
+        </ol>
+      ))}
+    </div>
+  );
+}
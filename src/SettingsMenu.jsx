@@ -0,0 +1,52 @@
+import { useState } from 'react';
+import { useSettings, updateSettings, settingsClassName } from './settings';
+import { leaderboardEnabled } from './leaderboard';
+
+const Toggle = ({ label, description, checked, onChange }) => (
+  <label className="flex items-center justify-between space-x-4 cursor-pointer">
+    <span>
+      <span className="block text-slate-200 text-sm">{label}</span>
+      {description && <span className="block text-slate-500 text-xs">{description}</span>}
+    </span>
+    <input type="checkbox" role="switch" checked={checked} onChange={(e) => onChange(e.target.checked)} className="w-5 h-5 accent-indigo-500 shrink-0" />
+  </label>
+);
+
+export default function SettingsMenu() {
+  const settings = useSettings();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className={settingsClassName(settings)}>
+      <button onClick={() => setOpen(!open)} aria-label="Settings" aria-expanded={open} className="fixed bottom-4 right-4 z-[60] p-3 rounded-full bg-slate-900/80 border border-slate-700 text-slate-400 hover:text-indigo-400 hover:border-indigo-500/50 backdrop-blur-md shadow-lg transition-colors">
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z M15 12a3 3 0 11-6 0 3 3 0 016 0z" /></svg>
+      </button>
+      {open && (
+        <div role="dialog" aria-label="Settings" className="fixed bottom-20 right-4 z-[60] w-80 max-w-[calc(100vw-2rem)] p-6 bg-slate-950 border border-slate-700 rounded-2xl shadow-2xl space-y-5 text-left animate-fade-up">
+          <div className="flex justify-between items-center border-b border-slate-800 pb-3">
+            <span className="text-indigo-400 text-xs font-bold uppercase tracking-widest">Terminal Settings</span>
+            <button onClick={() => setOpen(false)} aria-label="Close settings" className="text-slate-500 hover:text-slate-300 transition-colors">
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" /></svg>
+            </button>
+          </div>
+          <Toggle label="Mute all sound" checked={settings.muted} onChange={(muted) => updateSettings({ muted })} />
+          <label className={`block space-y-1 ${settings.muted ? 'opacity-40' : ''}`}>
+            <span className="text-slate-200 text-sm">Volume: {Math.round(settings.volume * 100)}%</span>
+            <input type="range" min="0" max="100" value={Math.round(settings.volume * 100)} disabled={settings.muted} onChange={(e) => updateSettings({ volume: Number(e.target.value) / 100 })} className="w-full accent-indigo-500" />
+          </label>
+          <Toggle label="Keystroke clicks" description="Click on every key typed into an answer." checked={settings.keyClicks} onChange={(keyClicks) => updateSettings({ keyClicks })} />
+          <Toggle label="Reduce motion" description="Turns off pulsing, fades and shakes." checked={settings.reducedMotion} onChange={(reducedMotion) => updateSettings({ reducedMotion })} />
+          <Toggle label="Speed mode" description="Times each intercept from display to correct answer. Pauses while the tab is hidden." checked={settings.speedMode} onChange={(speedMode) => updateSettings({ speedMode })} />
+          <Toggle label="High contrast" description="Brighter text and borders on a black background." checked={settings.highContrast} onChange={(highContrast) => updateSettings({ highContrast })} />
+          {leaderboardEnabled() && (
+            <label className="block space-y-1">
+              <span className="block text-slate-200 text-sm">Leaderboard handle</span>
+              <span className="block text-slate-500 text-xs">Finished drops are posted under this name. Leave blank to stay off the board.</span>
+              <input type="text" value={settings.handle} maxLength={24} onChange={(e) => updateSettings({ handle: e.target.value })} placeholder="Operative handle" className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 font-mono text-sm text-slate-200 outline-none focus:border-indigo-500" />
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
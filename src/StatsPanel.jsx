@@ -0,0 +1,83 @@
+import { useState, useRef } from 'react';
+import { loadDays, exportHistory, importHistory } from './storage';
+import { computeStats } from './stats';
+
+export default function StatsPanel({ todayIndex }) {
+  const [days, setDays] = useState(loadDays);
+  const [notice, setNotice] = useState(null);
+  const fileRef = useRef(null);
+  const stats = computeStats(days, todayIndex);
+  const peak = Math.max(1, ...stats.histogram.map(bucket => bucket.count));
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(exportHistory(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dead-drop-history-day-${todayIndex}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = importHistory(JSON.parse(await file.text()));
+      setDays(loadDays());
+      setNotice({ ok: true, text: `Imported ${count} day${count === 1 ? '' : 's'} of records.` });
+    } catch (err) {
+      setNotice({ ok: false, text: err instanceof SyntaxError ? 'File is not valid JSON.' : err.message });
+    }
+  };
+
+  return (
+    <div className="w-full bg-slate-950/50 border border-slate-800 rounded-xl p-5 text-left space-y-5">
+      <div className="flex justify-between items-center">
+        <span className="text-slate-500 text-xs font-bold uppercase tracking-widest">Service Record</span>
+        <div className="flex space-x-3 text-xs font-mono uppercase tracking-widest">
+          <button onClick={handleExport} disabled={days.length === 0} className="text-slate-500 hover:text-indigo-400 transition-colors disabled:opacity-30 disabled:pointer-events-none">Export</button>
+          <button onClick={() => fileRef.current?.click()} className="text-slate-500 hover:text-indigo-400 transition-colors">Import</button>
+          <input ref={fileRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+      {notice && <p className={`text-xs font-mono ${notice.ok ? 'text-emerald-400' : 'text-rose-400'}`}>{notice.text}</p>}
+      {days.length === 0 ? (
+        <p className="text-slate-500 text-sm font-light">No completed drops on file yet. Finish a daily drop to start your record.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-4 gap-2 text-center">
+            {[['Played', stats.played], ['Streak', stats.currentStreak], ['Best', stats.bestStreak], ['Avg', stats.averageScore]].map(([label, value]) => (
+              <div key={label} className="bg-slate-900 border border-slate-800 rounded-lg py-2">
+                <p className="text-white font-mono text-xl">{value}</p>
+                <p className="text-slate-500 text-[10px] uppercase tracking-widest">{label}</p>
+              </div>
+            ))}
+          </div>
+          <div className="space-y-1.5">
+            <p className="text-slate-500 text-[10px] font-bold uppercase tracking-widest">Daily Totals</p>
+            {stats.histogram.map(bucket => (
+              <div key={bucket.label} className="flex items-center space-x-2 font-mono text-xs">
+                <span className="w-10 text-right text-slate-500">{bucket.label}</span>
+                <div className="flex-1 h-4 bg-slate-900 rounded-sm overflow-hidden">
+                  <div className={`h-full ${bucket.count ? 'bg-indigo-500' : ''}`} style={{ width: `${(bucket.count / peak) * 100}%` }}></div>
+                </div>
+                <span className="w-6 text-slate-400">{bucket.count}</span>
+              </div>
+            ))}
+          </div>
+          <div className="space-y-1.5">
+            <p className="text-slate-500 text-[10px] font-bold uppercase tracking-widest">Ranks Earned</p>
+            {stats.ranks.map(rank => (
+              <div key={rank.label} className="flex justify-between text-sm font-light text-slate-300">
+                <span>{rank.label}</span>
+                <span className="font-mono text-slate-400">{rank.count}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { useState, useRef, useEffect } from 'react';
+import { playTone } from './audio';
+import { useSettings } from './settings';
+import { buildSchedule, playSchedule, scheduleLength, DEFAULT_WPM, DEFAULT_PITCH } from './transmission';
+
+export default function TransmissionPlayer({ puzzle }) {
+  const [wpm, setWpm] = useState(DEFAULT_WPM);
+  const [pitch, setPitch] = useState(DEFAULT_PITCH);
+  const [playing, setPlaying] = useState(false);
+  const [played, setPlayed] = useState(false);
+  const [showTranscript, setShowTranscript] = useState(false);
+  const stopRef = useRef(null);
+  const timerRef = useRef(null);
+  const settings = useSettings();
+  // playTone stays silent in this case, so Play would appear to do nothing.
+  const muted = settings.muted || settings.volume === 0;
+
+  const stop = () => {
+    stopRef.current?.();
+    stopRef.current = null;
+    clearTimeout(timerRef.current);
+    setPlaying(false);
+  };
+
+  useEffect(() => () => {
+    stopRef.current?.();
+    clearTimeout(timerRef.current);
+  }, [puzzle.id]);
+
+  const play = () => {
+    stop();
+    const events = buildSchedule(puzzle, { wpm, pitch });
+    stopRef.current = playSchedule(events, playTone);
+    timerRef.current = setTimeout(() => setPlaying(false), scheduleLength(events) * 1000);
+    setPlaying(true);
+    setPlayed(true);
+  };
+
+  return (
+    <div className="bg-slate-950/60 border border-slate-800 rounded-xl p-5 space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="text-slate-500 text-xs font-bold uppercase tracking-widest">{puzzle.type === 'dtmf' ? 'Keypad Tones' : 'Morse Signal'}</span>
+        <button onClick={playing ? stop : play} disabled={muted && !playing} className={`flex items-center space-x-2 px-4 py-2 rounded-lg font-medium text-sm transition-colors disabled:opacity-30 disabled:pointer-events-none ${playing ? 'bg-rose-600/20 text-rose-300 hover:bg-rose-600/30' : 'bg-indigo-600 text-white hover:bg-indigo-500'}`}>
+          {playing
+            ? <><span className="w-2.5 h-2.5 bg-rose-400 rounded-sm"></span><span>Stop</span></>
+            : <><svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z" /></svg><span>{played ? 'Replay' : 'Play'} Transmission</span></>}
+        </button>
+      </div>
+      {muted && <p className="text-amber-400 text-xs font-mono">Sound is muted in settings. Unmute or raise the volume to hear it, or read the transcript below.</p>}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 font-mono text-xs text-slate-400">
+        <label className="space-y-1">
+          <span className="uppercase tracking-widest">Speed: {wpm} WPM</span>
+          <input type="range" min="5" max="30" value={wpm} onChange={(e) => setWpm(Number(e.target.value))} className="w-full accent-indigo-500" />
+        </label>
+        {puzzle.type !== 'dtmf' && (
+          <label className="space-y-1">
+            <span className="uppercase tracking-widest">Pitch: {pitch} Hz</span>
+            <input type="range" min="300" max="1000" step="10" value={pitch} onChange={(e) => setPitch(Number(e.target.value))} className="w-full accent-indigo-500" />
+          </label>
+        )}
+      </div>
+      <button onClick={() => setShowTranscript(!showTranscript)} className="text-xs font-mono uppercase tracking-widest text-slate-500 hover:text-indigo-400 transition-colors">{showTranscript ? 'Hide' : 'Show'} Transcript</button>
+      {showTranscript && <p className="font-mono text-lg text-slate-300 tracking-[0.3em] break-words">{puzzle.text}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import { useSettings, settingsClassName } from './settings';
+import { useUpdateStatus, requestReload } from './updates';
+
+export default function UpdatePrompt() {
+  const settings = useSettings();
+  const { available, scheduled, midPuzzle } = useUpdateStatus();
+  if (!available) return null;
+
+  return (
+    <div className={settingsClassName(settings)}>
+      <div role="status" className="fixed bottom-4 left-4 z-[60] w-80 max-w-[calc(100vw-6rem)] p-5 bg-slate-950 border border-indigo-500/50 rounded-2xl shadow-2xl space-y-3 text-left animate-fade-up">
+        <span className="block text-indigo-400 text-xs font-bold uppercase tracking-widest">New Intel Available</span>
+        <p className="text-slate-300 text-sm font-light">
+          {scheduled ? 'Updating as soon as this intercept is cracked. Your progress is saved.' : 'A new version of The Dead Drop is ready.'}
+        </p>
+        {!scheduled && (
+          <button onClick={requestReload} className="w-full py-2.5 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg font-medium text-sm tracking-wide">
+            {midPuzzle ? 'Update After This Intercept' : 'Reload Now'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
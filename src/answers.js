@@ -0,0 +1,129 @@
+// --- ANSWER NORMALISATION ---
+// Guesses and authored answers go through the same steps before hashing:
+//   1. strip diacritics ("café" -> "cafe") and lowercase
+//   2. drop punctuation: apostrophes vanish, any other mark splits words
+//   3. drop one leading article ("an echo" -> "echo") unless it is the whole answer
+//   4. turn number words into digits ("twenty-one" -> "21", "zero zero seven" -> "007")
+//   5. remove all whitespace
+// Hashes in puzzles.json must be taken over this normalised form.
+const ARTICLES = new Set(['a', 'an', 'the']);
+
+const UNITS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+// Maps rather than plain objects, so a guess like "constructor" never matches an Object.prototype key.
+const SCALES = new Map([['hundred', 100], ['thousand', 1000], ['million', 1000000]]);
+
+const NUMBER_VALUES = new Map([
+  ...UNITS.map((word, n) => [word, n]),
+  ...TENS.map((word, n) => [word, n * 10]).filter(([word]) => word),
+]);
+
+const isNumberWord = (word) => NUMBER_VALUES.has(word) || SCALES.has(word);
+
+const unitOf = (word) => {
+  const n = NUMBER_VALUES.get(word);
+  return n >= 1 && n <= 9 ? n : null;
+};
+
+// Reads one number below a thousand starting at words[i]: "three hundred and forty two",
+// "seventeen", "ninety". Returns { value, end } or null.
+const readGroup = (words, i) => {
+  let value = 0;
+  let at = i;
+  if (unitOf(words[at]) && words[at + 1] === 'hundred') {
+    value = unitOf(words[at]) * 100;
+    at += 2;
+    const belowHundred = NUMBER_VALUES.get(words[at + 1]);
+    if (words[at] === 'and' && belowHundred >= 1) at += 1;
+  }
+  const next = NUMBER_VALUES.get(words[at]);
+  if (next >= 20) {
+    value += next;
+    at += 1;
+    if (unitOf(words[at])) value += unitOf(words[at++]);
+  } else if (next >= 1) {
+    value += next;
+    at += 1;
+  }
+  return at > i ? { value, end: at } : null;
+};
+
+// Reads the longest well-formed number starting at words[i], using each scale at most once
+// and in descending order: "two thousand and one" -> 2001, but "nineteen eighty" stops after
+// "nineteen". A leading bare scale counts as one of it ("hundred" -> 100). Returns { value, end } or null.
+const readNumber = (words, i) => {
+  if (words[i] === 'zero') return { value: 0, end: i + 1 };
+  if (SCALES.has(words[i])) {
+    const number = readNumber(['one', ...words.slice(i)], 0);
+    return { value: number.value, end: i + number.end - 1 };
+  }
+  let total = 0;
+  let at = i;
+  for (const scale of ['million', 'thousand']) {
+    const group = readGroup(words, at);
+    if (!group || words[group.end] !== scale) continue;
+    total += group.value * SCALES.get(scale);
+    at = group.end + 1;
+    if (words[at] === 'and' && readGroup(words, at + 1)) at += 1;
+  }
+  const rest = readGroup(words, at);
+  if (rest) {
+    total += rest.value;
+    at = rest.end;
+  }
+  return at > i ? { value: total, end: at } : null;
+};
+
+// Turns number words into digits. A run that is one well-formed number folds into it
+// ("twenty-one" -> "21"); otherwise each number in the run is written out in turn, so
+// digit sequences survive ("zero zero seven" -> "007", "nineteen eighty four" -> "1984").
+const replaceNumberWords = (words) => {
+  const out = [];
+  let i = 0;
+  while (i < words.length) {
+    const number = isNumberWord(words[i]) ? readNumber(words, i) : null;
+    if (number) {
+      out.push(String(number.value));
+      i = Math.max(number.end, i + 1);
+    } else {
+      out.push(words[i]);
+      i += 1;
+    }
+  }
+  return out;
+};
+
+export const normalizeAnswer = (text) => {
+  const words = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words.length > 1 && ARTICLES.has(words[0])) words.shift();
+  return replaceNumberWords(words).join('');
+};
+
+// --- SECURITY: HASHING ENGINE ---
+export async function sha256Hex(text) {
+  try {
+    const data = new TextEncoder().encode(text);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+  } catch {
+    return 'error';
+  }
+}
+
+export const hashAnswer = (text) => sha256Hex(normalizeAnswer(text));
+
+// Returns 'correct', 'close' (a near miss listed in closeHashes) or 'wrong'.
+export const checkAnswer = async (puzzle, guess) => {
+  const hash = await hashAnswer(guess);
+  if (hash === puzzle.answerHash || (puzzle.alternateHashes || []).includes(hash)) return 'correct';
+  if ((puzzle.closeHashes || []).includes(hash)) return 'close';
+  return 'wrong';
+};
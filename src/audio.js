@@ -0,0 +1,52 @@
+import { getSettings } from './settings';
+
+// --- PROCEDURAL AUDIO ENGINE ---
+let audioCtx = null;
+export const initAudio = () => {
+  if (!audioCtx) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    audioCtx = new AudioContext();
+  }
+  if (audioCtx.state === 'suspended') audioCtx.resume();
+};
+
+// `delay` schedules the tone ahead of now; `sustain` holds the volume instead of decaying,
+// with a short release so keyed tones don't click. Returns the oscillator so callers can stop it early.
+// The master mute and volume settings apply to every tone.
+export const playTone = (frequency, type, duration, vol = 0.1, { delay = 0, sustain = false } = {}) => {
+  const { muted, volume } = getSettings();
+  if (muted || volume === 0) return null;
+  initAudio(); 
+  if (!audioCtx) return null;
+  const start = audioCtx.currentTime + delay;
+  const gain = vol * volume;
+  const oscillator = audioCtx.createOscillator();
+  const gainNode = audioCtx.createGain();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, start);
+  gainNode.gain.setValueAtTime(gain, start);
+  if (sustain) {
+    gainNode.gain.setValueAtTime(gain, start + Math.max(0, duration - 0.01));
+    gainNode.gain.linearRampToValueAtTime(0.0001, start + duration);
+  } else {
+    gainNode.gain.exponentialRampToValueAtTime(0.001, start + duration);
+  }
+  oscillator.connect(gainNode);
+  gainNode.connect(audioCtx.destination);
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+  return oscillator;
+};
+
+export const sfx = {
+  type: () => getSettings().keyClicks && playTone(800, 'sine', 0.05, 0.02), 
+  success: () => {
+    playTone(440, 'sine', 0.1, 0.1);
+    setTimeout(() => playTone(554, 'sine', 0.1, 0.1), 100);
+    setTimeout(() => playTone(659, 'sine', 0.3, 0.1), 200);
+  }, 
+  error: () => {
+    playTone(150, 'sawtooth', 0.2, 0.1);
+    setTimeout(() => playTone(100, 'sawtooth', 0.3, 0.1), 100);
+  } 
+};
@@ -0,0 +1,84 @@
+import { sha256Hex } from './answers.js';
+import { PUZZLES_PER_DAY } from './schedule.js';
+
+// --- FRIEND CHALLENGES ---
+// A finished run packed into a short URL-safe token:
+//   version, day (2 bytes), flags, points x5, hints x5, [solve seconds x5, 3 bytes each]
+// followed by "." and a checksum over the bytes and that day's puzzle IDs. The checksum is
+// there to catch hand-edited links; it is not a signature.
+const TOKEN_VERSION = 1;
+const FLAG_TIMED = 1;
+const NO_TIME = 0xffffff;
+const MAX_HINTS = 9;
+export const CHALLENGE_PARAM = 'challenge';
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), ch => ch.charCodeAt(0));
+
+const checksum = async (body, puzzleIds) => {
+  const hash = await sha256Hex(`${body}:${puzzleIds.join(',')}`);
+  return hash === 'error' ? null : hash.slice(0, 8);
+};
+
+// `result` is { dayIndex, points, hints, times }, with times in ms (or null when untimed).
+export const encodeChallenge = async ({ dayIndex, points, hints, times = [] }, puzzleIds) => {
+  const timed = times.some(time => time !== null && time !== undefined);
+  const bytes = [TOKEN_VERSION, dayIndex >> 8, dayIndex & 0xff, timed ? FLAG_TIMED : 0, ...points, ...hints.map(n => Math.min(n, MAX_HINTS))];
+  if (timed) {
+    times.forEach(time => {
+      const seconds = time === null || time === undefined ? NO_TIME : Math.min(Math.floor(time / 1000), NO_TIME - 1);
+      bytes.push(seconds >> 16, (seconds >> 8) & 0xff, seconds & 0xff);
+    });
+  }
+  const body = toBase64Url(bytes);
+  const check = await checksum(body, puzzleIds);
+  return check ? `${body}.${check}` : null;
+};
+
+// Resolves to the decoded result, or throws if the token is malformed or fails its checksum.
+// `getPuzzleIds(dayIndex)` returns that day's puzzle IDs; days after `latestDay` are refused.
+export const decodeChallenge = async (token, getPuzzleIds, latestDay) => {
+  const [body, check] = String(token).split('.');
+  let bytes;
+  try {
+    bytes = fromBase64Url(body);
+  } catch {
+    throw new Error('This challenge link is damaged.');
+  }
+  const timed = (bytes[3] & FLAG_TIMED) !== 0;
+  const expectedLength = 4 + PUZZLES_PER_DAY * (timed ? 5 : 2);
+  if (bytes[0] !== TOKEN_VERSION || bytes.length !== expectedLength) throw new Error('This challenge link is damaged.');
+
+  const dayIndex = (bytes[1] << 8) | bytes[2];
+  if (dayIndex > latestDay) throw new Error(`Day ${dayIndex} has not dropped yet.`);
+  const points = [...bytes.slice(4, 4 + PUZZLES_PER_DAY)];
+  const hints = [...bytes.slice(4 + PUZZLES_PER_DAY, 4 + PUZZLES_PER_DAY * 2)];
+  const times = [...Array(PUZZLES_PER_DAY)].map((_, i) => {
+    if (!timed) return null;
+    const at = 4 + PUZZLES_PER_DAY * 2 + i * 3;
+    const seconds = (bytes[at] << 16) | (bytes[at + 1] << 8) | bytes[at + 2];
+    return seconds === NO_TIME ? null : seconds * 1000;
+  });
+  if (points.some(pts => pts > 100) || hints.some(n => n > MAX_HINTS)) throw new Error('This challenge link is damaged.');
+
+  const expected = await checksum(body, getPuzzleIds(dayIndex));
+  if (!expected || expected !== check) throw new Error('This challenge result has been altered.');
+  return { dayIndex, points, hints, times, score: points.reduce((sum, pts) => sum + pts, 0) };
+};
+
+export const readChallengeParam = () => new URLSearchParams(window.location.search).get(CHALLENGE_PARAM);
+
+export const buildChallengeUrl = (token) => {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(CHALLENGE_PARAM, token);
+  return url.toString();
+};
+
+export const clearChallengeParam = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(CHALLENGE_PARAM);
+  window.history.replaceState(null, '', url);
+};
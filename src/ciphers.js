@@ -0,0 +1,47 @@
+// --- CIPHER WORKBENCH TRANSFORMS ---
+// Pure string transforms behind the workbench panel. A puzzle's `cipher` tag names the tool
+// the panel opens with.
+const A = 'A'.charCodeAt(0);
+
+const mapLetters = (text, fn) => text.replace(/[a-z]/gi, (ch) => {
+  const upper = ch === ch.toUpperCase();
+  const out = String.fromCharCode(A + fn(ch.toUpperCase().charCodeAt(0) - A));
+  return upper ? out : out.toLowerCase();
+});
+
+// Shifts letters forward by `shift`; ROT-1 text decodes at shift 25, ROT-13 at 13.
+export const caesar = (text, shift) => mapLetters(text, i => (((i + shift) % 26) + 26) % 26);
+
+export const atbash = (text) => mapLetters(text, i => 25 - i);
+
+// Numbers become letters when the text holds any digits, otherwise letters become numbers.
+export const a1z26 = (text) => (/\d/.test(text)
+  ? text.replace(/\d+/g, n => (n >= 1 && n <= 26 ? String.fromCharCode(A + Number(n) - 1) : '?')).replace(/[\s,-]+/g, ' ').trim()
+  : text.toUpperCase().replace(/[^A-Z]/g, '').split('').map(ch => ch.charCodeAt(0) - A + 1).join(' '));
+
+// First letter of every word: reads NATO spellings ("Sierra - Echo") and acrostics alike.
+export const firstLetters = (text) => (text.match(/[a-z]+/gi) || []).map(word => word[0].toUpperCase()).join('');
+
+export const reverse = (text) => [...text].reverse().join('');
+
+export const CIPHER_TOOLS = [
+  { id: 'caesar', label: 'Caesar' },
+  { id: 'atbash', label: 'Atbash' },
+  { id: 'a1z26', label: 'A1Z26' },
+  { id: 'firstLetters', label: 'First Letters' },
+  { id: 'reverse', label: 'Reverse' },
+];
+
+export const applyTool = (toolId, text, { shift = 0 } = {}) => {
+  switch (toolId) {
+    case 'caesar': return caesar(text, shift);
+    case 'atbash': return atbash(text);
+    case 'a1z26': return a1z26(text);
+    case 'firstLetters': return firstLetters(text);
+    case 'reverse': return reverse(text);
+    default: return text;
+  }
+};
+
+// The intercept itself is the last paragraph; earlier ones are instructions.
+export const getCipherPayload = (text) => text.split(/\n\s*\n/).pop().trim();
@@ -0,0 +1,125 @@
+import { useSyncExternalStore } from 'react';
+
+// --- LEADERBOARD CLIENT ---
+// Optional: set VITE_LEADERBOARD_URL at build time to point at a server speaking the protocol
+// in server/leaderboard.js. Finished drops are queued in localStorage and posted from there,
+// so a result finished offline goes out once the connection comes back.
+export const LEADERBOARD_URL = (import.meta.env.VITE_LEADERBOARD_URL || '').replace(/\/+$/, '');
+export const leaderboardEnabled = () => LEADERBOARD_URL !== '';
+
+const QUEUE_KEY = 'gchq-leaderboard';
+const RETRY_MIN_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// { queue: [{ dayIndex, handle, points, answers }], outcomes: { [dayIndex]: { status, message } } }
+const loadState = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(QUEUE_KEY));
+    return {
+      queue: Array.isArray(raw?.queue) ? raw.queue : [],
+      outcomes: raw?.outcomes && typeof raw.outcomes === 'object' ? raw.outcomes : {},
+    };
+  } catch {
+    return { queue: [], outcomes: {} };
+  }
+};
+
+let state = loadState();
+const listeners = new Set();
+
+const setState = (next) => {
+  state = next;
+  try {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.warn('Unable to persist leaderboard queue', err);
+  }
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const QUEUED = { status: 'queued' };
+
+// { status: 'queued' | 'posted' | 'rejected', ... }, or null for a day that was never submitted.
+export const getSubmission = (dayIndex) => {
+  if (state.queue.some(entry => entry.dayIndex === dayIndex)) return QUEUED;
+  return state.outcomes[dayIndex] || null;
+};
+
+export const useSubmission = (dayIndex) => useSyncExternalStore(subscribe, () => getSubmission(dayIndex));
+
+// Resolves to 'posted', { rejected: message } when the server refuses the run, or 'retry'.
+const postResult = async (submission) => {
+  try {
+    const res = await fetch(`${LEADERBOARD_URL}/results`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(submission),
+    });
+    if (res.ok) return 'posted';
+    if (res.status >= 500) return 'retry';
+    const body = await res.json().catch(() => ({}));
+    return { rejected: body.error || `Rejected (${res.status})` };
+  } catch {
+    return 'retry';
+  }
+};
+
+let flushing = false;
+let retryTimer = null;
+let retryDelay = RETRY_MIN_MS;
+
+export const flushQueue = async () => {
+  if (flushing || !leaderboardEnabled()) return;
+  flushing = true;
+  clearTimeout(retryTimer);
+  try {
+    for (const submission of state.queue) {
+      const outcome = await postResult(submission);
+      if (outcome === 'retry') break;
+      setState({
+        queue: state.queue.filter(entry => entry !== submission),
+        outcomes: {
+          ...state.outcomes,
+          [submission.dayIndex]: outcome === 'posted' ? { status: 'posted', handle: submission.handle } : { status: 'rejected', message: outcome.rejected },
+        },
+      });
+    }
+  } finally {
+    flushing = false;
+  }
+  if (state.queue.length) {
+    retryTimer = setTimeout(flushQueue, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+  } else {
+    retryDelay = RETRY_MIN_MS;
+  }
+};
+
+// Queues a finished drop and tries to send it straight away. One submission per day.
+export const submitResult = ({ dayIndex, handle, points, answers }) => {
+  if (!leaderboardEnabled() || getSubmission(dayIndex)?.status === 'posted') return;
+  setState({
+    queue: [...state.queue.filter(entry => entry.dayIndex !== dayIndex), { dayIndex, handle, points, answers }],
+    outcomes: state.outcomes,
+  });
+  retryDelay = RETRY_MIN_MS;
+  flushQueue();
+};
+
+export const fetchBoard = async (dayIndex) => {
+  const res = await fetch(`${LEADERBOARD_URL}/results/${dayIndex}`);
+  if (!res.ok) throw new Error(`Leaderboard unavailable (${res.status})`);
+  return res.json();
+};
+
+// Sends anything left over from earlier sessions, and retries as soon as the browser is back online.
+export const startLeaderboardSync = () => {
+  if (!leaderboardEnabled()) return;
+  window.addEventListener('online', flushQueue);
+  flushQueue();
+};
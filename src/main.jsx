@@ -1,10 +1,19 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import SettingsMenu from './SettingsMenu.jsx'
+import UpdatePrompt from './UpdatePrompt.jsx'
+import { startLeaderboardSync } from './leaderboard'
+import { registerServiceWorker } from './updates'
 import './index.css' // <-- THIS IS CRITICAL
 
+startLeaderboardSync()
+registerServiceWorker()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
+    <SettingsMenu />
+    <UpdatePrompt />
   </React.StrictMode>,
 )
\ No newline at end of file
@@ -0,0 +1,148 @@
+// --- DETERMINISTIC SHUFFLE ENGINE ---
+function seededRandom(seed) {
+  return function() {
+    var t = seed += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+}
+
+const getMasterPuzzleList = (puzzles) => {
+  const random = seededRandom(42);
+  let ids = puzzles.map(p => p.id);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  return ids;
+};
+
+export const PUZZLES_PER_DAY = 5;
+
+// --- DAILY SCHEDULER ---
+// Days before SCHEDULER_START_DAY keep the original seed-42 rotation over the first
+// LEGACY_POOL_SIZE puzzles, so drops that already went out never change. From then on
+// each day is built from the days before it. Recency comes first: a slot only falls back to
+// a puzzle used in the last MIN_REPEAT_GAP days once no older one of any difficulty is left.
+// Among the rest it takes the least recently used puzzle of its target difficulty, preferring
+// a category still free that day. Puzzles added later carry a `releaseDay` and only join the
+// pool from that day onwards.
+// Deploy deadline: this must be live before day 1035 (2026-11-01, 00:00 UTC) drops. Clients
+// still on the old build keep serving the legacy rotation for any day that drops before they
+// update, so players would see two different sets of puzzles for the same day. If the release
+// slips, move this to a day that has not dropped yet and move puzzle 101's releaseDay with it.
+export const SCHEDULER_START_DAY = 1035;
+export const LEGACY_POOL_SIZE = 100;
+// A puzzle used on any of the last MIN_REPEAT_GAP days is held back while the pool has anything
+// older to offer, so repeats land at least MIN_REPEAT_GAP + 1 days apart.
+export const MIN_REPEAT_GAP = 14;
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const CATEGORIES = ['cipher', 'wordplay', 'logic', 'object', 'nature', 'abstract'];
+const SLOT_DIFFICULTIES = ['easy', 'easy', 'medium', 'medium', 'hard'];
+
+const rankOf = (puzzle) => DIFFICULTIES.indexOf(puzzle.difficulty);
+
+// Target tier first, then the remaining tiers nearest-first (easier wins a tie).
+const tierOrder = (target) => DIFFICULTIES
+  .map((_, rank) => rank)
+  .sort((a, b) => Math.abs(a - target) - Math.abs(b - target) || a - b);
+
+const pickForSlot = (pool, target, chosen, lastUsed, tieBreak, restedBefore) => {
+  const usedCategories = new Set(chosen.map(p => p.category));
+  const available = pool.filter(p => !chosen.includes(p));
+  const rested = available.filter(p => lastUsed.get(p.id) < restedBefore);
+  const stalest = (candidates) => candidates.reduce((best, p) => {
+    if (!best) return p;
+    const diff = lastUsed.get(p.id) - lastUsed.get(best.id);
+    return diff < 0 || (diff === 0 && tieBreak.get(p.id) < tieBreak.get(best.id)) ? p : best;
+  }, null);
+  for (const rank of tierOrder(target)) {
+    const tier = rested.filter(p => rankOf(p) === rank);
+    const match = stalest(tier.filter(p => !usedCategories.has(p.category))) || stalest(tier);
+    if (match) return match;
+  }
+  return stalest(available);
+};
+
+// Shared by the app and the authoring scripts so both agree on which puzzles land on which day.
+export const createSchedule = (puzzles) => {
+  const masterPuzzleList = getMasterPuzzleList(puzzles.slice(0, LEGACY_POOL_SIZE));
+  const getLegacyPuzzlesForDay = (dayIndex) => {
+    const ids = [];
+    for (let i = 0; i < PUZZLES_PER_DAY; i++) {
+      const index = (dayIndex * PUZZLES_PER_DAY + i) % masterPuzzleList.length;
+      ids.push(masterPuzzleList[index]);
+    }
+    return ids;
+  };
+
+  // Days are built in order, so the schedule and last-used days are kept as they are computed.
+  const scheduled = [];
+  const lastUsed = new Map(puzzles.map(p => [p.id, -Infinity]));
+  for (let day = Math.max(0, SCHEDULER_START_DAY - masterPuzzleList.length); day < SCHEDULER_START_DAY; day++) {
+    getLegacyPuzzlesForDay(day).forEach(id => lastUsed.set(id, day));
+  }
+
+  const buildDay = (dayIndex) => {
+    const pool = puzzles.filter(p => (p.releaseDay ?? 0) <= dayIndex);
+    const random = seededRandom(42 + dayIndex);
+    const tieBreak = new Map(pool.map(p => [p.id, random()]));
+    const chosen = [];
+    const openSlots = SLOT_DIFFICULTIES.slice(0, pool.length).map(d => DIFFICULTIES.indexOf(d));
+    const restedBefore = dayIndex - MIN_REPEAT_GAP;
+    // Rested categories a slot could still take without repeating one already chosen today.
+    const freeCategories = (target) => new Set(pool
+      .filter(p => rankOf(p) === target && lastUsed.get(p.id) < restedBefore && !chosen.includes(p))
+      .map(p => p.category)
+      .filter(category => !chosen.some(c => c.category === category))).size;
+    // Fill the most constrained slot first so it is not left with only repeats, then whichever
+    // slot can take the most overdue puzzle, so no tier starves the others.
+    while (openSlots.length) {
+      const picks = openSlots.map(target => pickForSlot(pool, target, chosen, lastUsed, tieBreak, restedBefore));
+      const options = openSlots.map(freeCategories);
+      const best = picks.reduce((b, p, i) => (
+        options[i] - options[b] || lastUsed.get(p.id) - lastUsed.get(picks[b].id)
+      ) < 0 ? i : b, 0);
+      chosen.push(picks[best]);
+      openSlots.splice(best, 1);
+    }
+    chosen.forEach(p => lastUsed.set(p.id, dayIndex));
+    return chosen.sort((a, b) => rankOf(a) - rankOf(b)).map(p => p.id);
+  };
+
+  const getPuzzlesForDay = (dayIndex) => {
+    if (dayIndex < SCHEDULER_START_DAY) return getLegacyPuzzlesForDay(dayIndex);
+    for (let day = SCHEDULER_START_DAY + scheduled.length; day <= dayIndex; day++) scheduled.push(buildDay(day));
+    return scheduled[dayIndex - SCHEDULER_START_DAY];
+  };
+  return { getPuzzlesForDay };
+};
+
+// --- DAY CALENDAR ---
+// Drops are numbered from 2024-01-01 and go out to everyone at once, at DROP_HOUR_UTC.
+// Anything that depends on "now" takes it as an argument, so a test can pass in its own clock.
+export const DAY_MS = 86400000;
+export const DROP_HOUR_UTC = 0;
+const EPOCH_DATE = Date.UTC(2024, 0, 1);
+const EPOCH = EPOCH_DATE + DROP_HOUR_UTC * 3600000;
+
+export const getDayIndex = (now = Date.now()) => Math.floor((new Date(now).getTime() - EPOCH) / DAY_MS);
+
+// Calendar date of a drop as a UTC-midnight Date; read it back with the getUTC* methods.
+export const getDateForDay = (dayIndex) => new Date(EPOCH_DATE + dayIndex * DAY_MS);
+
+export const getDayForDate = (year, month, day) => Math.floor((Date.UTC(year, month, day) - EPOCH_DATE) / DAY_MS);
+
+// Moment a drop is released, in epoch milliseconds.
+export const getDropTime = (dayIndex) => EPOCH + dayIndex * DAY_MS;
+
+export const getTimeUntilNextDrop = (now = Date.now()) => getDropTime(getDayIndex(now) + 1) - new Date(now).getTime();
+
+export const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map(n => n.toString().padStart(2, '0'))
+    .join(':');
+};
@@ -0,0 +1,33 @@
+// --- SCORING ---
+// One function prices a puzzle for both the header badge and a correct submission.
+export const ATTEMPT_VALUES = [100, 75, 50, 25];
+export const HINT_COST = 25;
+export const LETTER_REVEAL_COST = 50;
+// Opening the cipher workbench is charged like one more hint; set to 0 to make it free.
+export const WORKBENCH_COST = HINT_COST;
+
+// Hint tiers unlock in order: the puzzle's written hints, then its first letter. One-character
+// answers carry no firstLetter (the authoring CLI enforces it), so that tier never gives the answer away.
+export const getHintTiers = (puzzle) => [
+  ...(puzzle.hints || []).map(text => ({ kind: 'hint', text, cost: HINT_COST })),
+  ...(puzzle.firstLetter ? [{ kind: 'letter', text: `The answer begins with "${puzzle.firstLetter}".`, cost: LETTER_REVEAL_COST }] : []),
+];
+
+export const scorePuzzle = (puzzle, { attempts = 0, hintsUsed = 0, workbenchUsed = false }) => {
+  const base = ATTEMPT_VALUES[Math.min(attempts, ATTEMPT_VALUES.length - 1)];
+  const penalty = getHintTiers(puzzle).slice(0, hintsUsed).reduce((sum, tier) => sum + tier.cost, 0)
+    + (workbenchUsed ? WORKBENCH_COST : 0);
+  return Math.max(0, base - penalty);
+};
+
+// Every score scorePuzzle can award for this puzzle. The leaderboard server refuses anything else.
+export const possibleScores = (puzzle) => {
+  const scores = new Set();
+  const workbenchOptions = puzzle.cipher ? [false, true] : [false];
+  ATTEMPT_VALUES.forEach((_, attempts) => {
+    for (let hintsUsed = 0; hintsUsed <= getHintTiers(puzzle).length; hintsUsed++) {
+      workbenchOptions.forEach(workbenchUsed => scores.add(scorePuzzle(puzzle, { attempts, hintsUsed, workbenchUsed })));
+    }
+  });
+  return scores;
+};
@@ -0,0 +1,68 @@
+import { useSyncExternalStore } from 'react';
+
+// --- SETTINGS STORE ---
+// Device preferences, kept apart from game progress so clearing one never touches the other.
+const SETTINGS_KEY = 'gchq-settings';
+
+const prefersReducedMotion = () => typeof window !== 'undefined' && !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+const defaultSettings = () => ({
+  muted: false,
+  volume: 0.8,
+  keyClicks: true,
+  reducedMotion: prefersReducedMotion(),
+  highContrast: false,
+  speedMode: false,
+  handle: '',
+});
+
+const sanitizeSettings = (raw) => {
+  const defaults = defaultSettings();
+  if (!raw || typeof raw !== 'object') return defaults;
+  const pick = (key) => (typeof raw[key] === typeof defaults[key] ? raw[key] : defaults[key]);
+  return {
+    muted: pick('muted'),
+    volume: Math.min(1, Math.max(0, pick('volume'))),
+    keyClicks: pick('keyClicks'),
+    reducedMotion: pick('reducedMotion'),
+    highContrast: pick('highContrast'),
+    speedMode: pick('speedMode'),
+    handle: pick('handle').slice(0, 24),
+  };
+};
+
+const loadSettings = () => {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+  } catch {
+    return defaultSettings();
+  }
+};
+
+let current = loadSettings();
+const listeners = new Set();
+
+export const getSettings = () => current;
+
+export const updateSettings = (changes) => {
+  current = sanitizeSettings({ ...current, ...changes });
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(current));
+  } catch (err) {
+    console.warn('Unable to persist settings', err);
+  }
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const useSettings = () => useSyncExternalStore(subscribe, getSettings);
+
+// Class names each screen root adds so index.css can switch off motion or raise contrast.
+export const settingsClassName = (settings) => [
+  settings.reducedMotion && 'reduce-motion',
+  settings.highContrast && 'high-contrast',
+].filter(Boolean).join(' ');
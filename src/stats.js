@@ -0,0 +1,57 @@
+// --- RANKS ---
+// Ordered from best to worst; a score earns the first rank whose threshold it meets.
+export const RANKS = [
+  { min: 500, label: 'Double-O Status 🕵️‍♂️' },
+  { min: 400, label: 'Senior Intelligence 🗄️' },
+  { min: 200, label: 'Field Agent 🏃' },
+  { min: 0, label: 'Burn Notice 🚨' },
+];
+
+export const getRank = (score) => RANKS.find(rank => score >= rank.min).label;
+
+// --- LONG-TERM STATS ---
+const HISTOGRAM_BUCKETS = [
+  { label: '500', min: 500, max: 500 },
+  { label: '400+', min: 400, max: 499 },
+  { label: '300+', min: 300, max: 399 },
+  { label: '200+', min: 200, max: 299 },
+  { label: '100+', min: 100, max: 199 },
+  { label: '<100', min: 0, max: 99 },
+];
+
+const dayTotal = (day) => day.points.reduce((sum, pts) => sum + pts, 0);
+
+// Streaks count consecutive day indexes; the current one survives until a full day is missed.
+const getStreaks = (dayIndexes, todayIndex) => {
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  for (const dayIndex of dayIndexes) {
+    run = previous !== null && dayIndex === previous + 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = dayIndex;
+  }
+  const current = previous !== null && previous >= todayIndex - 1 ? run : 0;
+  return { current, best };
+};
+
+export const computeStats = (days, todayIndex) => {
+  const sorted = [...days].sort((a, b) => a.dayIndex - b.dayIndex);
+  const totals = sorted.map(dayTotal);
+  const { current, best } = getStreaks(sorted.map(day => day.dayIndex), todayIndex);
+  return {
+    played: sorted.length,
+    currentStreak: current,
+    bestStreak: best,
+    averageScore: totals.length ? Math.round(totals.reduce((sum, t) => sum + t, 0) / totals.length) : 0,
+    hintsUsed: sorted.reduce((sum, day) => sum + day.hints.reduce((a, b) => a + b, 0), 0),
+    histogram: HISTOGRAM_BUCKETS.map(bucket => ({
+      label: bucket.label,
+      count: totals.filter(t => t >= bucket.min && t <= bucket.max).length,
+    })),
+    ranks: RANKS.map(rank => ({
+      label: rank.label,
+      count: totals.filter(t => getRank(t) === rank.label).length,
+    })),
+  };
+};
@@ -0,0 +1,33 @@
+// --- SPEED MODE STOPWATCH ---
+// Times one intercept at a time. `now` is passed in by the caller, so the same clock that
+// drives the drop rollover drives this too.
+export const createStopwatch = (elapsed = 0) => {
+  let banked = elapsed;
+  let startedAt = null;
+
+  const read = (now) => banked + (startedAt === null ? 0 : now - startedAt);
+
+  return {
+    read,
+    start: (now) => {
+      if (startedAt === null) startedAt = now;
+    },
+    pause: (now) => {
+      banked = read(now);
+      startedAt = null;
+    },
+    reset: (value = 0) => {
+      banked = value;
+      startedAt = null;
+    },
+  };
+};
+
+// 42000 -> "0:42", 3723000 -> "1:02:03"
+export const formatDuration = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds / 60) % 60;
+  const s = (seconds % 60).toString().padStart(2, '0');
+  return h > 0 ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
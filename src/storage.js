@@ -0,0 +1,229 @@
+import { getDayForDate } from './schedule.js';
+
+// --- SAVE STATE ---
+// Game progress lives in one versioned record under SAVE_KEY (device settings are kept in settings.js).
+// Reads never throw: corrupt or unknown data falls back to a fresh save.
+const SAVE_KEY = 'gchq-save';
+export const SAVE_VERSION = 4;
+
+const LEGACY_KEYS = ['gchq-date', 'gchq-puzzles-today', 'gchq-score', 'gchq-history', 'gchq-archive'];
+const MAX_WRONG_GUESSES = 20;
+const MAX_DAYS = 365;
+const MAX_ANSWER_LENGTH = 200;
+
+// `timed` is fixed when the puzzle first appears: whether speed mode was on then, or null until it is shown.
+const emptyActive = () => ({ attempts: 0, hintsUsed: 0, workbenchUsed: false, wrongGuesses: [], elapsed: 0, timed: null });
+export const emptyProgress = () => ({ puzzlesDone: 0, score: 0, history: [], hints: [], times: [], answers: [], active: emptyActive() });
+const createSave = (day = null) => ({ version: SAVE_VERSION, day, today: emptyProgress(), archive: {}, days: [] });
+
+const toCount = (value, max = Infinity) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.min(Math.floor(n), max) : 0;
+};
+
+// Solve times in ms; null marks a puzzle solved with speed mode off.
+const toTime = (value) => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.floor(value) : null);
+
+// Saves before version 4 keyed today's progress by the local `Date.toDateString()`.
+const dayFromDateString = (date) => {
+  const parsed = new Date(date);
+  if (typeof date !== 'string' || Number.isNaN(parsed.getTime())) return null;
+  return getDayForDate(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+};
+
+const sanitizeActive = (raw) => {
+  if (!raw || typeof raw !== 'object') return emptyActive();
+  const wrongGuesses = Array.isArray(raw.wrongGuesses)
+    ? raw.wrongGuesses.filter(g => typeof g === 'string').slice(-MAX_WRONG_GUESSES)
+    : [];
+  return {
+    attempts: Math.max(toCount(raw.attempts), wrongGuesses.length),
+    hintsUsed: toCount(raw.hintsUsed),
+    workbenchUsed: raw.workbenchUsed === true,
+    wrongGuesses,
+    elapsed: toCount(raw.elapsed),
+    timed: typeof raw.timed === 'boolean' ? raw.timed : null,
+  };
+};
+
+const sanitizeProgress = (raw) => {
+  if (!raw || typeof raw !== 'object') return emptyProgress();
+  const history = Array.isArray(raw.history) ? raw.history.slice(0, 5).map(pts => toCount(pts, 100)) : [];
+  const puzzlesDone = Math.min(toCount(raw.puzzlesDone, 5), history.length);
+  const hints = Array.isArray(raw.hints) ? raw.hints : [];
+  const times = Array.isArray(raw.times) ? raw.times : [];
+  const answers = Array.isArray(raw.answers) ? raw.answers : [];
+  return {
+    puzzlesDone,
+    score: history.slice(0, puzzlesDone).reduce((sum, pts) => sum + pts, 0),
+    history: history.slice(0, puzzlesDone),
+    hints: history.slice(0, puzzlesDone).map((_, i) => toCount(hints[i])),
+    times: history.slice(0, puzzlesDone).map((_, i) => toTime(times[i])),
+    // Accepted guesses, kept so a finished drop can be posted to the leaderboard for checking.
+    answers: history.slice(0, puzzlesDone).map((_, i) => (typeof answers[i] === 'string' ? answers[i].slice(0, MAX_ANSWER_LENGTH) : '')),
+    active: puzzlesDone >= 5 ? emptyActive() : sanitizeActive(raw.active),
+  };
+};
+
+// A finished daily drop, as kept in the rolling stats history.
+const sanitizeDay = (raw) => {
+  if (!raw || typeof raw !== 'object' || !Number.isInteger(raw.dayIndex) || raw.dayIndex < 0) return null;
+  if (!Array.isArray(raw.points) || raw.points.length !== 5) return null;
+  const points = raw.points.map(pts => toCount(pts, 100));
+  const hints = Array.isArray(raw.hints) ? raw.hints : [];
+  const times = Array.isArray(raw.times) ? raw.times : [];
+  return {
+    date: typeof raw.date === 'string' ? raw.date : null,
+    dayIndex: raw.dayIndex,
+    points,
+    hints: points.map((_, i) => toCount(hints[i])),
+    times: points.map((_, i) => toTime(times[i])),
+  };
+};
+
+const sanitizeDays = (raw) => {
+  if (!Array.isArray(raw)) return [];
+  const byDay = new Map();
+  raw.map(sanitizeDay).filter(Boolean).forEach(day => byDay.set(day.dayIndex, day));
+  return [...byDay.values()].sort((a, b) => a.dayIndex - b.dayIndex).slice(-MAX_DAYS);
+};
+
+const sanitizeSave = (raw) => {
+  const save = createSave(Number.isInteger(raw.day) ? raw.day : null);
+  save.today = sanitizeProgress(raw.today);
+  if (raw.archive && typeof raw.archive === 'object') {
+    for (const [day, progress] of Object.entries(raw.archive)) {
+      if (/^\d+$/.test(day)) save.archive[day] = sanitizeProgress(progress);
+    }
+  }
+  save.days = sanitizeDays(raw.days);
+  return save;
+};
+
+// Each entry upgrades a raw save from its version to the next one.
+const MIGRATIONS = {
+  1: (raw) => ({ ...raw, version: 2, days: [] }),
+  2: (raw) => {
+    const upgradeActive = (progress) => progress?.active
+      ? { ...progress, active: { ...progress.active, hintsUsed: progress.active.hintUsed ? 1 : 0 } }
+      : progress;
+    const archive = Object.fromEntries(Object.entries(raw.archive || {}).map(([day, progress]) => [day, upgradeActive(progress)]));
+    return { ...raw, version: 3, today: upgradeActive(raw.today), archive };
+  },
+  3: ({ date, ...raw }) => ({ ...raw, version: 4, day: dayFromDateString(date) }),
+};
+
+const migrateSave = (raw) => {
+  let save = raw;
+  while (save.version !== SAVE_VERSION && MIGRATIONS[save.version]) save = MIGRATIONS[save.version](save);
+  return save.version === SAVE_VERSION ? save : null;
+};
+
+const parseJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+// Builds a save from the flat gchq-* keys used before the versioned record.
+const migrateLegacyKeys = () => {
+  if (!LEGACY_KEYS.some(key => localStorage.getItem(key) !== null)) return null;
+  const history = parseJSON(localStorage.getItem('gchq-history'));
+  const save = sanitizeSave({
+    version: SAVE_VERSION,
+    day: dayFromDateString(localStorage.getItem('gchq-date')),
+    today: {
+      puzzlesDone: localStorage.getItem('gchq-puzzles-today'),
+      history: Array.isArray(history) ? history : [],
+    },
+    archive: parseJSON(localStorage.getItem('gchq-archive')),
+  });
+  LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  return save;
+};
+
+export const writeSave = (save) => {
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(save));
+  } catch (err) {
+    console.warn('Unable to persist save state', err);
+  }
+};
+
+export const readSave = () => {
+  const stored = localStorage.getItem(SAVE_KEY);
+  if (stored === null) {
+    const migrated = migrateLegacyKeys();
+    if (migrated) writeSave(migrated);
+    return migrated || createSave();
+  }
+  const raw = parseJSON(stored);
+  const migrated = raw && typeof raw === 'object' ? migrateSave(raw) : null;
+  if (!migrated) {
+    console.warn('Discarding unreadable save state');
+    return createSave();
+  }
+  return sanitizeSave(migrated);
+};
+
+// Loads the save for the given drop, clearing today's progress if the drop moved on.
+// A drop left unfinished is moved into the archive so it can be completed later.
+export const startDay = (dayIndex) => {
+  const save = readSave();
+  if (save.day !== dayIndex) {
+    const { today } = save;
+    const started = today.puzzlesDone > 0 || today.active.attempts > 0 || today.active.hintsUsed > 0 || today.active.workbenchUsed;
+    if (save.day !== null && save.day < dayIndex && today.puzzlesDone < 5 && started && !save.archive[save.day]) save.archive[save.day] = today;
+    save.day = dayIndex;
+    save.today = emptyProgress();
+  }
+  writeSave(save);
+  return save;
+};
+
+export const loadProgress = (archiveDay = null) => {
+  const save = readSave();
+  return archiveDay === null ? save.today : save.archive[archiveDay] || emptyProgress();
+};
+
+export const saveProgress = (archiveDay, progress) => {
+  const save = readSave();
+  if (archiveDay === null) save.today = sanitizeProgress(progress);
+  else save.archive[archiveDay] = sanitizeProgress(progress);
+  writeSave(save);
+};
+
+export const loadArchive = () => readSave().archive;
+
+export const loadDays = () => readSave().days;
+
+// The player's finished run for a day, whether it was played live or from the archive.
+export const loadRun = (dayIndex) => {
+  const save = readSave();
+  const day = save.days.find(entry => entry.dayIndex === dayIndex);
+  if (day) return { points: day.points, hints: day.hints, times: day.times };
+  const archived = save.archive[dayIndex];
+  return archived?.puzzlesDone >= 5 ? { points: archived.history, hints: archived.hints, times: archived.times } : null;
+};
+
+export const recordDay = (entry) => {
+  const save = readSave();
+  save.days = sanitizeDays([...save.days, entry]);
+  writeSave(save);
+};
+
+// --- HISTORY EXPORT ---
+export const exportHistory = () => ({ app: 'the-dead-drop', version: SAVE_VERSION, exportedAt: new Date().toISOString(), days: loadDays() });
+
+// Merges an exported history into the local one; imported entries win on the same day.
+export const importHistory = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.days)) throw new Error('Not a Dead Drop history export');
+  const incoming = sanitizeDays(data.days);
+  if (incoming.length === 0 && data.days.length > 0) throw new Error('No valid days found in export');
+  const save = readSave();
+  save.days = sanitizeDays([...save.days, ...incoming]);
+  writeSave(save);
+  return incoming.length;
+};
@@ -0,0 +1,34 @@
+// --- SERVICE WORKER ---
+// Template only: the build (see vite.config.js) fills in BUILD_ID and the precache list and
+// emits the result as /sw.js. Puzzle data is bundled into the app's JS, so precaching the
+// bundle precaches the puzzles too. Game state stays in localStorage and never passes through here.
+const BUILD_ID = '__BUILD_ID__';
+const PRECACHE = self.__PRECACHE__;
+const CACHE_PREFIX = 'dead-drop-';
+const CACHE = `${CACHE_PREFIX}${BUILD_ID}`;
+
+self.addEventListener('install', (event) => {
+  // No skipWaiting here: the page decides when it is safe to swap versions.
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Cache first for this build's files; every navigation gets the precached shell. Anything
+// else, such as leaderboard requests to another origin, goes straight to the network.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  const lookup = request.mode === 'navigate' ? '/index.html' : request;
+  event.respondWith(caches.open(CACHE).then(cache => cache.match(lookup)).then(cached => cached || fetch(request)));
+});
@@ -0,0 +1,73 @@
+// --- AUDIO TRANSMISSIONS ---
+// Audio puzzles carry their signal in `text`: Morse as dots and dashes ("... --- ..."), letters
+// split by spaces and words by " / ", or DTMF as keypad symbols ("6 6 5 3"). Building the tone
+// schedule is pure; playback goes through an injectable tone function, so neither needs an AudioContext.
+export const TRANSMISSION_TYPES = ['morse', 'dtmf'];
+
+export const DEFAULT_WPM = 18;
+export const DEFAULT_PITCH = 600;
+
+export const isAudioPuzzle = (puzzle) => TRANSMISSION_TYPES.includes(puzzle.type);
+
+// PARIS timing: one dit lasts 1.2 / wpm seconds.
+const unitLength = (wpm) => 1.2 / wpm;
+
+const MORSE_SYMBOL = /^[.\-_]+$/;
+
+export const buildMorseSchedule = (payload, { wpm = DEFAULT_WPM, pitch = DEFAULT_PITCH } = {}) => {
+  const unit = unitLength(wpm);
+  const events = [];
+  let time = 0;
+  payload.trim().split(/\s*\/\s*/).forEach((word, w) => {
+    if (w > 0) time += 6 * unit; // 7 units between words, 1 already added after the last symbol
+    word.split(/\s+/).filter(Boolean).forEach((letter, l) => {
+      if (!MORSE_SYMBOL.test(letter)) throw new Error(`Invalid Morse group "${letter}"`);
+      if (l > 0) time += 2 * unit; // 3 units between letters, 1 already added after the last symbol
+      for (const symbol of letter) {
+        const duration = (symbol === '.' ? 1 : 3) * unit;
+        events.push({ start: time, duration, frequencies: [pitch] });
+        time += duration + unit;
+      }
+    });
+  });
+  return events;
+};
+
+// Row and column frequencies of the telephone keypad.
+const DTMF_KEYS = ['123A', '456B', '789C', '*0#D'];
+const DTMF_ROWS = [697, 770, 852, 941];
+const DTMF_COLS = [1209, 1336, 1477, 1633];
+
+const dtmfFrequencies = (key) => {
+  const row = DTMF_KEYS.findIndex(keys => keys.includes(key));
+  if (row === -1) throw new Error(`Invalid DTMF key "${key}"`);
+  return [DTMF_ROWS[row], DTMF_COLS[DTMF_KEYS[row].indexOf(key)]];
+};
+
+// Each key sounds for three units with a two-unit gap, so the speed control paces DTMF too.
+export const buildDtmfSchedule = (payload, { wpm = DEFAULT_WPM } = {}) => {
+  const unit = unitLength(wpm);
+  const keys = payload.toUpperCase().replace(/\s+/g, '').split('');
+  return keys.map((key, i) => ({ start: i * 5 * unit, duration: 3 * unit, frequencies: dtmfFrequencies(key) }));
+};
+
+export const buildSchedule = (puzzle, options) => (
+  puzzle.type === 'dtmf' ? buildDtmfSchedule(puzzle.text, options) : buildMorseSchedule(puzzle.text, options)
+);
+
+export const scheduleLength = (events) => events.reduce((end, e) => Math.max(end, e.start + e.duration), 0);
+
+// Queues every event through `tone(frequency, type, duration, vol, { delay, sustain })` and
+// returns a stop function that cancels whatever has not finished yet.
+export const playSchedule = (events, tone, { volume = 0.08 } = {}) => {
+  const voices = events.flatMap(event => event.frequencies.map(frequency => (
+    tone(frequency, 'sine', event.duration, volume / event.frequencies.length, { delay: event.start, sustain: true })
+  ))).filter(Boolean);
+  return () => voices.forEach(voice => {
+    try {
+      voice.stop();
+    } catch {
+      // Already finished.
+    }
+  });
+};
@@ -0,0 +1,74 @@
+import { useSyncExternalStore } from 'react';
+
+// --- APP UPDATES ---
+// Registers the service worker in production builds and tracks a newly deployed version
+// waiting to take over. The swap (and the reload that follows) is held back while a puzzle
+// is on screen; App reports that through setMidPuzzle.
+const UPDATE_CHECK_MS = 30 * 60 * 1000;
+
+let waitingWorker = null;
+let reloading = false;
+let snapshot = { available: false, scheduled: false, midPuzzle: false };
+const listeners = new Set();
+
+const update = (changes) => {
+  snapshot = { ...snapshot, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const useUpdateStatus = () => useSyncExternalStore(subscribe, () => snapshot);
+
+const activateUpdate = () => {
+  if (!waitingWorker || reloading) return;
+  reloading = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// Reloads now if no puzzle is open, otherwise as soon as the current one is solved or left.
+export const requestReload = () => {
+  update({ scheduled: true });
+  if (!snapshot.midPuzzle) activateUpdate();
+};
+
+export const setMidPuzzle = (midPuzzle) => {
+  if (midPuzzle === snapshot.midPuzzle) return;
+  update({ midPuzzle });
+  if (!midPuzzle && snapshot.scheduled) activateUpdate();
+};
+
+const offerUpdate = (worker) => {
+  waitingWorker = worker;
+  update({ available: true });
+};
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  // Only reload for a swap this page asked for, not when the very first worker takes control.
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) window.location.reload();
+  });
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+      const checkForUpdate = () => registration.update().catch(() => {});
+      setInterval(checkForUpdate, UPDATE_CHECK_MS);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkForUpdate();
+      });
+    } catch (err) {
+      console.warn('Service worker registration failed', err);
+    }
+  });
+};
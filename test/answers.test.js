@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAnswer } from '../src/answers.js';
+
+test('ignores case, accents, punctuation, spacing and a leading article', () => {
+  assert.equal(normalizeAnswer('  The Café-Noir! '), 'cafenoir');
+  assert.equal(normalizeAnswer("Smiley's People"), 'smileyspeople');
+  assert.equal(normalizeAnswer('The'), 'the');
+});
+
+test('turns a well-formed number into digits', () => {
+  assert.equal(normalizeAnswer('twenty-one'), '21');
+  assert.equal(normalizeAnswer('one hundred and five'), '105');
+  assert.equal(normalizeAnswer('two thousand and one'), '2001');
+});
+
+test('writes out a run of numbers one after another', () => {
+  assert.equal(normalizeAnswer('zero zero seven'), '007');
+  assert.equal(normalizeAnswer('nineteen eighty four'), '1984');
+  assert.equal(normalizeAnswer('one two three'), '123');
+});
+
+test('leaves words that only look like object keys alone', () => {
+  assert.equal(normalizeAnswer('constructor'), 'constructor');
+  assert.equal(normalizeAnswer('to string value of'), 'tostringvalueof');
+  assert.equal(normalizeAnswer('hundred constructor'), '100constructor');
+});
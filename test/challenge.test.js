@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeChallenge, decodeChallenge } from '../src/challenge.js';
+
+const IDS = [3, 14, 15, 92, 65];
+const getPuzzleIds = () => IDS;
+const RESULT = { dayIndex: 1022, points: [100, 75, 50, 100, 0], hints: [0, 1, 2, 0, 3], times: [61000, null, 5000, 12000, 300000] };
+
+test('a token decodes back to the run it was made from', async () => {
+  const token = await encodeChallenge(RESULT, IDS);
+  assert.deepEqual(await decodeChallenge(token, getPuzzleIds, 1022), { ...RESULT, score: 325 });
+});
+
+test('rejects a token whose score was edited', async () => {
+  const token = await encodeChallenge(RESULT, IDS);
+  const forged = await encodeChallenge({ ...RESULT, points: [100, 100, 100, 100, 100] }, IDS);
+  const tampered = `${forged.split('.')[0]}.${token.split('.')[1]}`;
+  await assert.rejects(decodeChallenge(tampered, getPuzzleIds, 1022), /has been altered/);
+});
+
+test('rejects a token checked against another day\'s puzzles', async () => {
+  const token = await encodeChallenge(RESULT, IDS);
+  await assert.rejects(decodeChallenge(token, () => [1, 2, 3, 4, 5], 1022), /has been altered/);
+});
+
+test('rejects damaged and future tokens', async () => {
+  await assert.rejects(decodeChallenge('not-a-token', getPuzzleIds, 1022), /damaged/);
+  const token = await encodeChallenge(RESULT, IDS);
+  await assert.rejects(decodeChallenge(token, getPuzzleIds, 1021), /not dropped yet/);
+});
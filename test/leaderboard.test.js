@@ -0,0 +1,71 @@
+import { test, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { hashAnswer } from '../src/answers.js';
+import { createSchedule, getDropTime } from '../src/schedule.js';
+import { createFileStore, createLeaderboardServer } from '../server/leaderboard.js';
+
+// A five-puzzle set with known answers, so every legacy day drops all five of them.
+const ANSWERS = { 1: 'alpha', 2: 'bravo', 3: 'charlie', 4: 'delta', 5: 'echo' };
+const DAY = 500;
+
+let puzzles;
+let dayAnswers;
+let dir;
+let server;
+let baseUrl;
+
+before(async () => {
+  puzzles = await Promise.all(Object.entries(ANSWERS).map(async ([id, answer]) => ({
+    id: Number(id),
+    difficulty: 'easy',
+    category: 'logic',
+    hints: ['A hint.'],
+    answerHash: await hashAnswer(answer),
+  })));
+  dayAnswers = createSchedule(puzzles).getPuzzlesForDay(DAY).map(id => ANSWERS[id]);
+});
+
+// Every test gets its own server and empty store, so none depends on another having run.
+beforeEach(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'leaderboard-'));
+  server = createLeaderboardServer({ puzzles, store: createFileStore(join(dir, 'store.json')), now: () => getDropTime(DAY) + 3600000 });
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterEach(() => {
+  server.closeAllConnections();
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const post = (body) => fetch(`${baseUrl}/results`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('accepts a solved run and ranks it on the day board', async () => {
+  const res = await post({ dayIndex: DAY, handle: 'Kim', points: [100, 75, 50, 25, 75], answers: dayAnswers });
+  assert.equal(res.status, 201);
+  assert.equal((await res.json()).score, 325);
+
+  const board = await (await fetch(`${baseUrl}/results/${DAY}`)).json();
+  assert.deepEqual(board.entries.map(entry => [entry.handle, entry.score]), [['Kim', 325]]);
+});
+
+test('rejects a run with a wrong answer', async () => {
+  const answers = [...dayAnswers];
+  answers[2] = 'zulu';
+  const res = await post({ dayIndex: DAY, handle: 'Philby', points: [100, 100, 100, 100, 100], answers });
+  assert.equal(res.status, 422);
+});
+
+test('refuses a second, different run under the same handle', async () => {
+  assert.equal((await post({ dayIndex: DAY, handle: 'Kim', points: [100, 75, 50, 25, 75], answers: dayAnswers })).status, 201);
+  const res = await post({ dayIndex: DAY, handle: 'kim', points: [100, 100, 100, 100, 100], answers: dayAnswers });
+  assert.equal(res.status, 409);
+});
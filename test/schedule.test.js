@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  createSchedule, DAY_MS, formatCountdown, getDateForDay, getDayIndex, getDayForDate, getDropTime, getTimeUntilNextDrop,
+  MIN_REPEAT_GAP, SCHEDULER_START_DAY,
+} from '../src/schedule.js';
+
+const DAY = getDayForDate(2026, 9, 19);
+const MIDNIGHT = Date.UTC(2026, 9, 19);
+
+test('the day index turns over at midnight UTC', () => {
+  assert.equal(getDayIndex(MIDNIGHT - 1), DAY - 1);
+  assert.equal(getDayIndex(MIDNIGHT), DAY);
+  assert.equal(getDayIndex(MIDNIGHT + DAY_MS - 1), DAY);
+});
+
+test('the countdown runs to the next midnight UTC', () => {
+  assert.equal(getTimeUntilNextDrop(MIDNIGHT - 1), 1);
+  assert.equal(getTimeUntilNextDrop(MIDNIGHT), DAY_MS);
+  assert.equal(getTimeUntilNextDrop(MIDNIGHT + 1000), DAY_MS - 1000);
+});
+
+test('day numbers and calendar dates convert both ways', () => {
+  assert.equal(getDayForDate(2024, 0, 1), 0);
+  assert.equal(getDateForDay(DAY).toISOString(), '2026-10-19T00:00:00.000Z');
+  assert.equal(getDropTime(DAY), MIDNIGHT);
+});
+
+test('the countdown is formatted as hours, minutes and seconds, rounded up', () => {
+  assert.equal(formatCountdown(DAY_MS), '24:00:00');
+  assert.equal(formatCountdown(61001), '00:01:02');
+  assert.equal(formatCountdown(-5), '00:00:00');
+});
+
+test('the scheduler keeps repeats apart, categories distinct and the tier mix intact for a year', () => {
+  const puzzles = JSON.parse(readFileSync(new URL('../src/puzzles.json', import.meta.url), 'utf8'));
+  const byId = new Map(puzzles.map(p => [p.id, p]));
+  const { getPuzzlesForDay } = createSchedule(puzzles);
+  const lastSeen = new Map();
+  for (let day = SCHEDULER_START_DAY; day < SCHEDULER_START_DAY + 365; day++) {
+    const ids = getPuzzlesForDay(day);
+    assert.deepEqual(ids.map(id => byId.get(id).difficulty), ['easy', 'easy', 'medium', 'medium', 'hard']);
+    assert.equal(new Set(ids.map(id => byId.get(id).category)).size, ids.length, `day ${day} repeats a category`);
+    ids.forEach(id => {
+      if (lastSeen.has(id)) assert.ok(day - lastSeen.get(id) > MIN_REPEAT_GAP, `puzzle ${id} repeated on day ${day}`);
+      lastSeen.set(id, day);
+    });
+  }
+});
@@ -0,0 +1,134 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSave, SAVE_VERSION } from '../src/storage.js';
+
+// Just enough of localStorage for the save module, reset before every test.
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    keys: () => [...items.keys()],
+  };
+};
+
+beforeEach(() => {
+  globalThis.localStorage = createStorage();
+});
+
+// Saves before version 4 wrote the local calendar date with Date.toDateString().
+const LOCAL_DATE = new Date(2026, 9, 19).toDateString();
+const DAY = 1022;
+
+const store = (save) => localStorage.setItem('gchq-save', typeof save === 'string' ? save : JSON.stringify(save));
+
+const emptyActive = { attempts: 0, hintsUsed: 0, workbenchUsed: false, wrongGuesses: [], elapsed: 0, timed: null };
+
+test('imports the flat gchq-* keys and removes them', () => {
+  localStorage.setItem('gchq-date', LOCAL_DATE);
+  localStorage.setItem('gchq-puzzles-today', '2');
+  localStorage.setItem('gchq-score', '150');
+  localStorage.setItem('gchq-history', '[100,50]');
+
+  const save = readSave();
+  assert.equal(save.version, SAVE_VERSION);
+  assert.equal(save.day, DAY);
+  assert.equal(save.today.puzzlesDone, 2);
+  assert.deepEqual(save.today.history, [100, 50]);
+  assert.equal(save.today.score, 150);
+  assert.deepEqual(localStorage.keys(), ['gchq-save']);
+  assert.deepEqual(JSON.parse(localStorage.getItem('gchq-save')), save);
+});
+
+test('imports legacy keys with unreadable history as a fresh day', () => {
+  localStorage.setItem('gchq-date', 'not a date');
+  localStorage.setItem('gchq-puzzles-today', '3');
+  localStorage.setItem('gchq-history', '{oops');
+
+  const save = readSave();
+  assert.equal(save.day, null);
+  assert.equal(save.today.puzzlesDone, 0);
+  assert.deepEqual(save.today.history, []);
+});
+
+test('upgrades a version 1 save', () => {
+  store({
+    version: 1,
+    date: LOCAL_DATE,
+    today: { puzzlesDone: 1, score: 100, history: [100], active: { attempts: 2, hintUsed: true, wrongGuesses: ['ENIGMA', 'BOMBE'] } },
+    archive: { 1000: { puzzlesDone: 0, score: 0, history: [], active: { attempts: 1, hintUsed: false, wrongGuesses: ['X'] } } },
+  });
+
+  const save = readSave();
+  assert.equal(save.day, DAY);
+  assert.deepEqual(save.today.active, { ...emptyActive, attempts: 2, hintsUsed: 1, wrongGuesses: ['ENIGMA', 'BOMBE'] });
+  assert.deepEqual(save.archive[1000].active, { ...emptyActive, attempts: 1, wrongGuesses: ['X'] });
+  assert.deepEqual(save.days, []);
+});
+
+test('upgrades a version 2 save and keeps its finished days', () => {
+  store({
+    version: 2,
+    date: LOCAL_DATE,
+    today: { puzzlesDone: 0, score: 0, history: [], active: { attempts: 0, hintUsed: true, wrongGuesses: [] } },
+    archive: {},
+    days: [{ date: LOCAL_DATE, dayIndex: DAY - 1, points: [100, 75, 50, 25, 0] }],
+  });
+
+  const save = readSave();
+  assert.equal(save.today.active.hintsUsed, 1);
+  assert.deepEqual(save.days.map(day => [day.dayIndex, day.points, day.hints, day.times]), [
+    [DAY - 1, [100, 75, 50, 25, 0], [0, 0, 0, 0, 0], [null, null, null, null, null]],
+  ]);
+});
+
+test('upgrades a version 3 save from a date string to a day index', () => {
+  store({
+    version: 3,
+    date: LOCAL_DATE,
+    today: { puzzlesDone: 2, score: 125, history: [100, 25], active: { attempts: 1, hintsUsed: 2, wrongGuesses: ['X'] } },
+    archive: {},
+    days: [],
+  });
+
+  const save = readSave();
+  assert.equal(save.day, DAY);
+  assert.equal('date' in save, false);
+  assert.equal(save.today.score, 125);
+  assert.equal(save.today.active.hintsUsed, 2);
+});
+
+test('cleans up bad fields in a current save', () => {
+  store({
+    version: SAVE_VERSION,
+    day: DAY,
+    today: { puzzlesDone: 9, history: [100, 'lots', 500], active: { attempts: -3, hintsUsed: 'two', wrongGuesses: ['A', 7, 'B'] } },
+    archive: { 1000: null, later: { puzzlesDone: 1, history: [100] } },
+    days: [{ dayIndex: -1, points: [] }, 'junk'],
+  });
+
+  const save = readSave();
+  assert.deepEqual(save.today.history, [100, 0, 100]);
+  assert.equal(save.today.puzzlesDone, 3);
+  assert.deepEqual(save.today.active, { ...emptyActive, attempts: 2, wrongGuesses: ['A', 'B'] });
+  assert.deepEqual(Object.keys(save.archive), ['1000']);
+  assert.equal(save.archive[1000].puzzlesDone, 0);
+  assert.deepEqual(save.days, []);
+});
+
+for (const [label, stored] of [
+  ['corrupt JSON', '{"version": 4, "today": '],
+  ['a number', '42'],
+  ['null', 'null'],
+  ['an array', '[]'],
+  ['a save from a newer version', JSON.stringify({ version: SAVE_VERSION + 1, day: DAY })],
+]) {
+  test(`starts a fresh save over ${label}`, (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    store(stored);
+    const save = readSave();
+    assert.deepEqual(save, { version: SAVE_VERSION, day: null, today: { puzzlesDone: 0, score: 0, history: [], hints: [], times: [], answers: [], active: emptyActive }, archive: {}, days: [] });
+    assert.equal(warn.mock.callCount(), 1);
+  });
+}
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDtmfSchedule, buildMorseSchedule, playSchedule, scheduleLength } from '../src/transmission.js';
+
+// At 12 wpm one unit is 0.1s, which keeps the expected timings readable.
+const timings = (payload) => buildMorseSchedule(payload, { wpm: 12 }).map(e => [+(e.start * 10).toFixed(6), +(e.duration * 10).toFixed(6)]);
+
+test('dits and dahs last one and three units with a one-unit gap', () => {
+  assert.deepEqual(timings('.-'), [[0, 1], [2, 3]]);
+});
+
+test('letters are three units apart and words seven', () => {
+  assert.deepEqual(timings('. .'), [[0, 1], [4, 1]]);
+  assert.deepEqual(timings('. / .'), [[0, 1], [8, 1]]);
+});
+
+test('SOS runs for 2.7 seconds at 12 wpm', () => {
+  assert.ok(Math.abs(scheduleLength(buildMorseSchedule('... --- ...', { wpm: 12 })) - 2.7) < 1e-9);
+});
+
+test('rejects anything that is not Morse', () => {
+  assert.throws(() => buildMorseSchedule('... x ...'), /Invalid Morse group "x"/);
+});
+
+test('DTMF keys sound both keypad frequencies', () => {
+  assert.deepEqual(buildDtmfSchedule('5#').map(e => e.frequencies), [[770, 1336], [941, 1477]]);
+  assert.throws(() => buildDtmfSchedule('5X'), /Invalid DTMF key "X"/);
+});
+
+// A fake tone stands in for the AudioContext: it records each call and hands back a stoppable voice.
+test('playback queues every tone and stops the ones still sounding', () => {
+  const calls = [];
+  const stopped = [];
+  const tone = (frequency, type, duration, vol, { delay }) => {
+    calls.push({ frequency, delay });
+    return { stop: () => stopped.push(frequency) };
+  };
+  const stop = playSchedule(buildDtmfSchedule('1', { wpm: 12 }), tone, { volume: 0.1 });
+  assert.deepEqual(calls, [{ frequency: 697, delay: 0 }, { frequency: 1209, delay: 0 }]);
+  stop();
+  assert.deepEqual(stopped, [697, 1209]);
+});
+
+test('a muted tone function leaves nothing to stop', () => {
+  const stop = playSchedule(buildMorseSchedule('...'), () => null);
+  assert.doesNotThrow(stop);
+});
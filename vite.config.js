@@ -1,11 +1,40 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { readFileSync, readdirSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { createHash } from 'node:crypto'
+
+// Emits /sw.js from src/sw.js with this build's files to precache and an id hashed from
+// their contents. A new bundle or puzzle set changes that id, so the browser sees a new
+// service worker and the app can offer the update.
+const serviceWorker = () => {
+  let config
+  return {
+    name: 'dead-drop-service-worker',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_, bundle) {
+      const publicFiles = config.publicDir ? readdirSync(config.publicDir).filter(file => file !== 'sw.js') : []
+      const files = [...new Set(['index.html', ...Object.keys(bundle), ...publicFiles])].sort()
+      const hash = createHash('sha256').update(files.join('\n'))
+      Object.values(bundle).forEach(output => hash.update(output.type === 'chunk' ? output.code : output.source))
+      publicFiles.forEach(file => hash.update(readFileSync(resolve(config.publicDir, file))))
+      const source = readFileSync(resolve(config.root, 'src/sw.js'), 'utf8')
+        .replace('__BUILD_ID__', hash.digest('hex').slice(0, 12))
+        .replace('self.__PRECACHE__', JSON.stringify(files.map(file => `${config.base}${file}`)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [
     react(),
     tailwindcss(),
+    serviceWorker(),
   ],
-})
\ No newline at end of file
+})